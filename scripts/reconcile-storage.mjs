@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Compare stored files with the files referenced by attachments and remove
+ * orphans (see reconcileStorage). Dry run by default.
+ *
+ * Usage: npm run storage:reconcile -- [--delete] [--grace-hours=24] [--json]
+ */
+import "dotenv/config";
+
+import prisma from "../src/prisma/client.js";
+import { reconcileStorage } from "../src/utils/fileCleanup.js";
+
+const args = process.argv.slice( 2 );
+const readOption = ( name ) =>
+  args.find( ( arg ) => arg.startsWith( `--${ name }=` ) )?.split( "=" )[ 1 ];
+
+const graceOption = readOption( "grace-hours" );
+const graceHours = typeof graceOption === "undefined" ? undefined : Number( graceOption );
+if ( typeof graceHours !== "undefined" && ( !Number.isFinite( graceHours ) || graceHours < 0 ) )
+{
+  console.error( "--grace-hours must be a non-negative number" );
+  process.exit( 1 );
+}
+
+const formatBytes = ( bytes ) => ( bytes >= 1024 * 1024
+  ? `${ ( bytes / 1024 / 1024 ).toFixed( 1 ) } MB`
+  : `${ ( bytes / 1024 ).toFixed( 1 ) } KB` );
+
+const printReport = ( report ) =>
+{
+  console.log( `Storage driver: ${ report.driver }${ report.dryRun ? " (dry run)" : "" }` );
+  console.log( `Files in storage: ${ report.scanned }, referenced by attachments: ${ report.referenced }` );
+  console.log( `Orphans: ${ report.orphans.length } (${ formatBytes( report.orphanBytes ) })` );
+  report.orphans.forEach( ( file ) =>
+  {
+    console.log( `  ${ file.key }  ${ formatBytes( file.size ?? 0 ) }  ${ file.lastModified?.toISOString() ?? "unknown date" }` );
+  } );
+
+  if ( report.skippedRecent > 0 )
+  {
+    console.log( `Unreferenced files younger than ${ report.graceHours }h, kept: ${ report.skippedRecent }` );
+  }
+
+  if ( report.missing.length > 0 )
+  {
+    console.log( `Referenced files missing from storage: ${ report.missing.length }` );
+    report.missing.forEach( ( key ) => console.log( `  ${ key }` ) );
+  }
+
+  if ( report.dryRun )
+  {
+    console.log( "Nothing was deleted. Run again with --delete to remove the orphans." );
+  } else
+  {
+    console.log( `Deleted: ${ report.deleted }, failed (queued for retry): ${ report.failed }` );
+  }
+};
+
+try
+{
+  const report = await reconcileStorage( { dryRun: !args.includes( "--delete" ), graceHours } );
+
+  if ( args.includes( "--json" ) )
+  {
+    console.log( JSON.stringify( report, null, 2 ) );
+  } else
+  {
+    printReport( report );
+  }
+} catch ( error )
+{
+  console.error( "Storage reconciliation failed", error );
+  process.exitCode = 1;
+} finally
+{
+  await prisma.$disconnect();
+}
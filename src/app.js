@@ -3,6 +3,13 @@ import cors from "cors";
 
 import authRoutes from "./routes/auth.routes.js";
 import todoRoutes from "./routes/todo.routes.js";
+import templateRoutes from "./routes/template.routes.js";
+import tagRoutes from "./routes/tag.routes.js";
+import workspaceRoutes from "./routes/workspace.routes.js";
+import fileRoutes from "./routes/file.routes.js";
+import sharedRoutes from "./routes/shared.routes.js";
+import { FILE_ROUTE } from "./utils/fileLinks.js";
+import { SHARED_ROUTE } from "./utils/shareLinks.js";
 
 const app = express();
 
@@ -17,6 +24,11 @@ app.get( "/health", ( _req, res ) =>
 
 app.use( "/api/auth", authRoutes );
 app.use( "/api/todos", todoRoutes );
+app.use( "/api/templates", templateRoutes );
+app.use( "/api/tags", tagRoutes );
+app.use( "/api/workspaces", workspaceRoutes );
+app.use( FILE_ROUTE, fileRoutes );
+app.use( SHARED_ROUTE, sharedRoutes );
 
 app.use( ( req, res, next ) =>
 {
@@ -27,7 +39,8 @@ app.use( ( req, res, next ) =>
 
 app.use( ( err, req, res, _next ) =>
 {
-  const statusCode = err.statusCode || 500;
+  // Multer reports oversized or too many files without a status code.
+  const statusCode = err.statusCode || ( err.name === "MulterError" ? 400 : 500 );
   const response = {
     success: false,
     data: null,
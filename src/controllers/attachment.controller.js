@@ -0,0 +1,173 @@
+import { TimelineEventType } from "@prisma/client";
+
+import prisma from "../prisma/client.js";
+import { createTimelineEvent } from "../utils/timeline.js";
+import { broadcastChange } from "../events/todoEvents.js";
+import { parseEntityId, parseTodoId } from "../utils/validation.js";
+import { fetchTodoTreeForUser } from "../utils/todoTree.js";
+import { findAccessibleTodo } from "../utils/workspaces.js";
+import
+{
+  isImageMimeType,
+  sanitizeAttachment,
+  storeUploadedFile,
+  deleteUnusedFiles,
+} from "../utils/attachments.js";
+
+const parseAttachmentId = ( value ) => parseEntityId( value, "Attachment" );
+
+// The assignee of a todo can read its attachments without being a workspace member.
+const findTodo = ( req, minRole = "VIEWER" ) =>
+  findAccessibleTodo( prisma, {
+    id: parseTodoId( req.params.id ),
+    userId: req.user.id,
+    minRole,
+    allowAssignee: minRole === "VIEWER",
+    select: { id: true },
+  } );
+
+const broadcastTodoUpdate = async ( todo, userId ) =>
+{
+  const { map } = await fetchTodoTreeForUser( userId );
+  const updated = map.get( todo.id );
+
+  if ( updated )
+  {
+    broadcastChange( todo.workspaceId, {
+      type: "update",
+      todos: [ updated ],
+    } );
+  }
+};
+
+export const listAttachments = async ( req, res, next ) =>
+{
+  try
+  {
+    const todo = await findTodo( req );
+    const attachments = await prisma.attachment.findMany( {
+      where: { todoId: todo.id },
+      orderBy: [ { createdAt: "asc" }, { id: "asc" } ],
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: attachments.map( sanitizeAttachment ),
+      message: "Attachments fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const uploadAttachments = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const todo = await findTodo( req, "EDITOR" );
+    const files = ( req.files ?? [] ).filter( ( file ) => file.buffer?.length > 0 );
+
+    if ( files.length === 0 )
+    {
+      const error = new Error( "At least one non-empty file is required in the files field" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Store files up front; storage operations cannot take part in the transaction.
+    const stored = [];
+    for ( const file of files )
+    {
+      stored.push( await storeUploadedFile( file ) );
+    }
+
+    let attachments;
+    try
+    {
+      attachments = await prisma.$transaction( async ( tx ) =>
+      {
+        const created = [];
+        for ( const file of stored )
+        {
+          created.push( await tx.attachment.create( {
+            data: { ...file, todoId: todo.id, uploaderId: userId },
+          } ) );
+
+          await createTimelineEvent( {
+            todoId: todo.id,
+            type: isImageMimeType( file.mimeType )
+              ? TimelineEventType.IMAGE_UPDATED
+              : TimelineEventType.ATTACHMENT_ADDED,
+            message: `${ isImageMimeType( file.mimeType ) ? "Image" : "File" } "${ file.filename }" added`,
+            actorUserId: userId,
+            client: tx,
+          } );
+        }
+        return created;
+      } );
+    } catch ( error )
+    {
+      await deleteUnusedFiles( stored );
+      throw error;
+    }
+
+    await broadcastTodoUpdate( todo, userId );
+
+    res.status( 201 ).json( {
+      success: true,
+      data: attachments.map( sanitizeAttachment ),
+      message: "Attachments uploaded successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const deleteAttachment = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const todo = await findTodo( req, "EDITOR" );
+    const attachment = await prisma.attachment.findFirst( {
+      where: { id: parseAttachmentId( req.params.attachmentId ), todoId: todo.id },
+    } );
+
+    if ( !attachment )
+    {
+      const error = new Error( "Attachment not found" );
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await prisma.$transaction( async ( tx ) =>
+    {
+      await tx.attachment.delete( { where: { id: attachment.id } } );
+
+      await createTimelineEvent( {
+        todoId: todo.id,
+        type: isImageMimeType( attachment.mimeType )
+          ? TimelineEventType.IMAGE_UPDATED
+          : TimelineEventType.ATTACHMENT_REMOVED,
+        message: `${ isImageMimeType( attachment.mimeType ) ? "Image" : "File" } "${ attachment.filename }" removed`,
+        actorUserId: userId,
+        client: tx,
+      } );
+    } );
+
+    await deleteUnusedFiles( [ attachment ] );
+    await broadcastTodoUpdate( todo, userId );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Attachment deleted successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
@@ -1,44 +1,77 @@
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 
 import prisma from "../prisma/client.js";
-
-const ensureJwtSecret = () =>
+import { notifySessionsRevoked } from "../events/todoEvents.js";
+import { sendMail } from "../mail/index.js";
+import { passwordResetEmail, emailVerificationEmail } from "../mail/templates.js";
+import { parseEntityId } from "../utils/validation.js";
+import { ensurePersonalWorkspace } from "../utils/workspaces.js";
+import
 {
-  const secret = process.env.JWT_SECRET;
-  if ( !secret )
-  {
-    throw new Error( "JWT_SECRET is not configured" );
-  }
-  return secret;
-};
+  activeSessionWhere,
+  createSession,
+  rotateSession,
+  revokeSessions,
+} from "../utils/sessions.js";
+import { issueUserToken, consumeUserToken, getUserTokenTtlMinutes } from "../utils/userTokens.js";
 
-const jwtExpiresIn = process.env.JWT_EXPIRES_IN || "7d";
+const PASSWORD_HASH_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
 
 const sanitizeUser = ( user ) => ( {
   id: user.id,
   email: user.email,
   name: user.name,
+  emailVerified: Boolean( user.emailVerifiedAt ),
   createdAt: user.createdAt,
   updatedAt: user.updatedAt,
 } );
 
-const createToken = ( user ) =>
+const assertValidPassword = ( password, fieldName = "Password" ) =>
 {
-  const secret = ensureJwtSecret();
-  return jwt.sign(
-    {
-      sub: user.id,
-      email: user.email,
-      userId: user.id,
-    },
-    secret,
-    {
-      expiresIn: jwtExpiresIn,
-    },
-  );
+  if ( !password || typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH )
+  {
+    const error = new Error( `${ fieldName } must be at least ${ MIN_PASSWORD_LENGTH } characters long` );
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+const sendVerificationEmail = async ( user ) =>
+{
+  const token = await issueUserToken( prisma, user.id, "EMAIL_VERIFICATION" );
+  await sendMail( emailVerificationEmail( {
+    user,
+    token,
+    ttlMinutes: getUserTokenTtlMinutes( "EMAIL_VERIFICATION" ),
+  } ) );
+};
+
+/**
+ * Store a new password, dropping pending reset tokens and revoking every
+ * session so that tokens issued with the old password stop working.
+ * @returns {Promise<number[]>} ids of the revoked sessions, to be notified once committed
+ */
+const replacePassword = async ( tx, userId, password, data = {} ) =>
+{
+  await tx.user.update( {
+    where: { id: userId },
+    data: { ...data, passwordHash: await bcrypt.hash( password, PASSWORD_HASH_ROUNDS ) },
+  } );
+  await tx.userToken.deleteMany( { where: { userId, type: "PASSWORD_RESET" } } );
+  return revokeSessions( tx, { userId } );
 };
 
+const sanitizeSession = ( session, currentSessionId ) => ( {
+  id: session.id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  current: session.id === currentSessionId,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+} );
+
 export const register = async ( req, res, next ) =>
 {
   try
@@ -52,12 +85,7 @@ export const register = async ( req, res, next ) =>
       throw error;
     }
 
-    if ( !password || typeof password !== "string" || password.length < 8 )
-    {
-      const error = new Error( "Password must be at least 8 characters long" );
-      error.statusCode = 400;
-      throw error;
-    }
+    assertValidPassword( password );
 
     const normalizedEmail = email.trim().toLowerCase();
     const existing = await prisma.user.findUnique( {
@@ -72,22 +100,35 @@ export const register = async ( req, res, next ) =>
       throw error;
     }
 
-    const passwordHash = await bcrypt.hash( password, 12 );
+    const passwordHash = await bcrypt.hash( password, PASSWORD_HASH_ROUNDS );
 
-    const user = await prisma.user.create( {
-      data: {
-        email: normalizedEmail,
-        passwordHash,
-        name: typeof name === "string" && name.trim() ? name.trim() : null,
-      },
+    const { user, tokens } = await prisma.$transaction( async ( tx ) =>
+    {
+      const created = await tx.user.create( {
+        data: {
+          email: normalizedEmail,
+          passwordHash,
+          name: typeof name === "string" && name.trim() ? name.trim() : null,
+        },
+      } );
+
+      await ensurePersonalWorkspace( tx, created.id );
+      return { user: created, tokens: await createSession( tx, created, req ) };
     } );
 
-    const token = createToken( user );
+    try
+    {
+      await sendVerificationEmail( user );
+    } catch ( mailError )
+    {
+      // The account exists either way; the user can ask for another email.
+      console.error( "Failed to send the verification email", { userId: user.id, mailError } );
+    }
 
     res.status( 201 ).json( {
       success: true,
       data: {
-        token,
+        ...tokens,
         user: sanitizeUser( user ),
       },
       message: "Registration successful",
@@ -132,12 +173,12 @@ export const login = async ( req, res, next ) =>
       throw error;
     }
 
-    const token = createToken( user );
+    const tokens = await createSession( prisma, user, req );
 
     res.status( 200 ).json( {
       success: true,
       data: {
-        token,
+        ...tokens,
         user: sanitizeUser( user ),
       },
       message: "Login successful",
@@ -172,3 +213,290 @@ export const getProfile = async ( req, res, next ) =>
   }
 };
 
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ */
+export const refresh = async ( req, res, next ) =>
+{
+  try
+  {
+    const refreshToken = req.body?.refreshToken;
+
+    if ( typeof refreshToken !== "string" || !refreshToken.trim() )
+    {
+      const error = new Error( "Refresh token is required" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const tokens = await rotateSession( prisma, refreshToken.trim(), req );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: tokens,
+      message: "Token refreshed successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const logout = async ( req, res, next ) =>
+{
+  try
+  {
+    notifySessionsRevoked( await revokeSessions( prisma, { id: req.user.sessionId } ) );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Logged out successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const logoutAll = async ( req, res, next ) =>
+{
+  try
+  {
+    const revokedIds = await revokeSessions( prisma, { userId: req.user.id } );
+    notifySessionsRevoked( revokedIds );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: { revokedSessions: revokedIds.length },
+      message: "Logged out of all sessions successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const listSessions = async ( req, res, next ) =>
+{
+  try
+  {
+    const sessions = await prisma.session.findMany( {
+      where: { userId: req.user.id, ...activeSessionWhere() },
+      orderBy: [ { lastUsedAt: "desc" }, { id: "desc" } ],
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: sessions.map( ( session ) => sanitizeSession( session, req.user.sessionId ) ),
+      message: "Sessions fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const revokeSession = async ( req, res, next ) =>
+{
+  try
+  {
+    const sessionId = parseEntityId( req.params.id, "Session" );
+    const revokedIds = await revokeSessions( prisma, { id: sessionId, userId: req.user.id } );
+    notifySessionsRevoked( revokedIds );
+
+    if ( revokedIds.length === 0 )
+    {
+      const error = new Error( "Session not found" );
+      error.statusCode = 404;
+      throw error;
+    }
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Session revoked successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+const sendPasswordResetEmail = async ( user ) =>
+{
+  const token = await issueUserToken( prisma, user.id, "PASSWORD_RESET" );
+  await sendMail( passwordResetEmail( {
+    user,
+    token,
+    ttlMinutes: getUserTokenTtlMinutes( "PASSWORD_RESET" ),
+  } ) );
+};
+
+/**
+ * Mail a password reset token. The response is the same whether or not the
+ * email is registered, and is sent before the token is issued and mailed, so
+ * neither its content nor its timing can be used to probe for accounts.
+ */
+export const forgotPassword = async ( req, res, next ) =>
+{
+  try
+  {
+    const email = req.body?.email;
+
+    if ( !email || typeof email !== "string" )
+    {
+      const error = new Error( "Email is required" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await prisma.user.findUnique( { where: { email: email.trim().toLowerCase() } } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "If the email is registered, a password reset link has been sent",
+    } );
+
+    if ( user )
+    {
+      void sendPasswordResetEmail( user ).catch( ( mailError ) =>
+      {
+        console.error( "Failed to send the password reset email", { userId: user.id, mailError } );
+      } );
+    }
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const resetPassword = async ( req, res, next ) =>
+{
+  try
+  {
+    const { token, password } = req.body ?? {};
+    assertValidPassword( password );
+
+    const revokedIds = await prisma.$transaction( async ( tx ) =>
+    {
+      const userId = await consumeUserToken( tx, token, "PASSWORD_RESET" );
+      const user = await tx.user.findUnique( { where: { id: userId }, select: { emailVerifiedAt: true } } );
+
+      // The token was mailed to the user, which also proves they own the address.
+      return replacePassword( tx, userId, password, { emailVerifiedAt: user.emailVerifiedAt ?? new Date() } );
+    } );
+    notifySessionsRevoked( revokedIds );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Password reset successfully; sign in with the new password",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+/**
+ * Change the signed-in user's password. Every session is revoked, this one
+ * included, and the response carries the tokens of a fresh session.
+ */
+export const changePassword = async ( req, res, next ) =>
+{
+  try
+  {
+    const { currentPassword, newPassword } = req.body ?? {};
+
+    if ( !currentPassword || typeof currentPassword !== "string" )
+    {
+      const error = new Error( "Current password is required" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    assertValidPassword( newPassword, "New password" );
+
+    const user = await prisma.user.findUnique( { where: { id: req.user.id } } );
+    if ( !user || !await bcrypt.compare( currentPassword, user.passwordHash ) )
+    {
+      const error = new Error( "Current password is incorrect" );
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const { revokedIds, tokens } = await prisma.$transaction( async ( tx ) => ( {
+      revokedIds: await replacePassword( tx, user.id, newPassword ),
+      tokens: await createSession( tx, user, req ),
+    } ) );
+    notifySessionsRevoked( revokedIds );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: tokens,
+      message: "Password changed successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const verifyEmail = async ( req, res, next ) =>
+{
+  try
+  {
+    const user = await prisma.$transaction( async ( tx ) =>
+    {
+      const userId = await consumeUserToken( tx, req.body?.token, "EMAIL_VERIFICATION" );
+      return tx.user.update( {
+        where: { id: userId },
+        data: { emailVerifiedAt: new Date() },
+      } );
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: sanitizeUser( user ),
+      message: "Email verified successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const resendVerificationEmail = async ( req, res, next ) =>
+{
+  try
+  {
+    const user = await prisma.user.findUnique( { where: { id: req.user.id } } );
+
+    if ( !user )
+    {
+      res.status( 404 ).json( { success: false, data: null, message: "User not found" } );
+      return;
+    }
+
+    if ( user.emailVerifiedAt )
+    {
+      const error = new Error( "Email is already verified" );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await sendVerificationEmail( user );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Verification email sent",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
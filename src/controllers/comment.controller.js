@@ -0,0 +1,301 @@
+import { TimelineEventType } from "@prisma/client";
+
+import prisma from "../prisma/client.js";
+import { createTimelineEvent } from "../utils/timeline.js";
+import { broadcastChange } from "../events/todoEvents.js";
+import { parseEntityId, parseTodoId } from "../utils/validation.js";
+import { fetchTodoTreeForUser } from "../utils/todoTree.js";
+import { findAccessibleTodo, findWorkspaceRole } from "../utils/workspaces.js";
+
+const MAX_COMMENT_LENGTH = 5000;
+const EXCERPT_LENGTH = 80;
+
+const parseCommentId = ( value ) => parseEntityId( value, "Comment" );
+
+const parseCommentBody = ( value ) =>
+{
+  if ( typeof value !== "string" || !value.trim() )
+  {
+    const error = new Error( "Comment body is required and must be a string" );
+    error.statusCode = 400;
+    throw error;
+  }
+  if ( value.trim().length > MAX_COMMENT_LENGTH )
+  {
+    const error = new Error( `Comment body must be at most ${ MAX_COMMENT_LENGTH } characters` );
+    error.statusCode = 400;
+    throw error;
+  }
+  return value.trim();
+};
+
+const excerpt = ( body ) =>
+  ( body.length > EXCERPT_LENGTH ? `${ body.slice( 0, EXCERPT_LENGTH - 1 ) }…` : body );
+
+const sanitizeComment = ( comment ) => ( {
+  id: comment.id,
+  todoId: comment.todoId,
+  parentId: comment.parentId,
+  body: comment.deletedAt ? null : comment.body,
+  author: comment.deletedAt ? null : { id: comment.author.id, name: comment.author.name },
+  editedAt: comment.editedAt,
+  deleted: Boolean( comment.deletedAt ),
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt,
+  replies: [],
+} );
+
+const COMMENT_INCLUDE = {
+  author: { select: { id: true, name: true } },
+};
+
+// The assignee of a todo can read its comments without being a workspace member.
+const findTodo = ( req, minRole = "VIEWER" ) =>
+  findAccessibleTodo( prisma, {
+    id: parseTodoId( req.params.id ),
+    userId: req.user.id,
+    minRole,
+    allowAssignee: minRole === "VIEWER",
+    select: { id: true },
+  } );
+
+const findComment = async ( todo, commentId ) =>
+{
+  const comment = await prisma.comment.findFirst( {
+    where: { id: commentId, todoId: todo.id, deletedAt: null },
+    include: COMMENT_INCLUDE,
+  } );
+
+  if ( !comment )
+  {
+    const error = new Error( "Comment not found" );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return comment;
+};
+
+/**
+ * Only the author of a comment may edit it; owners of the todo's workspace may
+ * also delete it.
+ */
+const assertCanModify = async ( comment, todo, userId, { allowOwner } ) =>
+{
+  if ( comment.authorId === userId
+    || ( allowOwner && await findWorkspaceRole( prisma, todo.workspaceId, userId ) === "OWNER" ) )
+  {
+    return;
+  }
+
+  const error = new Error( "You can only change your own comments" );
+  error.statusCode = 403;
+  throw error;
+};
+
+const broadcastCommentChange = async ( todo, userId, action, payload ) =>
+{
+  const { map } = await fetchTodoTreeForUser( userId );
+  const updated = map.get( todo.id );
+
+  broadcastChange( todo.workspaceId, {
+    type: `comment_${ action }`,
+    todoId: todo.id,
+    ...payload,
+    todos: updated ? [ updated ] : [],
+  } );
+};
+
+export const listComments = async ( req, res, next ) =>
+{
+  try
+  {
+    const todo = await findTodo( req );
+    const comments = await prisma.comment.findMany( {
+      where: { todoId: todo.id },
+      orderBy: [ { createdAt: "asc" }, { id: "asc" } ],
+      include: COMMENT_INCLUDE,
+    } );
+
+    const map = new Map();
+    const threads = [];
+    comments.map( sanitizeComment ).forEach( ( comment ) =>
+    {
+      map.set( comment.id, comment );
+      const parent = comment.parentId ? map.get( comment.parentId ) : null;
+      if ( parent )
+      {
+        parent.replies.push( comment );
+      } else
+      {
+        threads.push( comment );
+      }
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: threads,
+      message: "Comments fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const createComment = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const todo = await findTodo( req, "EDITOR" );
+    const body = parseCommentBody( req.body?.body );
+    const { parentId } = req.body ?? {};
+
+    let parent = null;
+    if ( typeof parentId !== "undefined" && parentId !== null && parentId !== "" )
+    {
+      parent = await findComment( todo, parseCommentId( parentId ) );
+    }
+
+    const comment = await prisma.$transaction( async ( tx ) =>
+    {
+      const created = await tx.comment.create( {
+        data: { body, todoId: todo.id, authorId: userId, parentId: parent?.id ?? null },
+        include: COMMENT_INCLUDE,
+      } );
+
+      await createTimelineEvent( {
+        todoId: todo.id,
+        type: TimelineEventType.COMMENT_ADDED,
+        message: parent
+          ? `Reply to ${ parent.author.name ?? "a comment" }: "${ excerpt( body ) }"`
+          : `Comment added: "${ excerpt( body ) }"`,
+        actorUserId: userId,
+        client: tx,
+      } );
+
+      return created;
+    } );
+
+    const data = sanitizeComment( comment );
+    await broadcastCommentChange( todo, userId, "created", { comment: data } );
+
+    res.status( 201 ).json( {
+      success: true,
+      data,
+      message: "Comment created successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const updateComment = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const todo = await findTodo( req, "EDITOR" );
+    const comment = await findComment( todo, parseCommentId( req.params.commentId ) );
+    await assertCanModify( comment, todo, userId, { allowOwner: false } );
+    const body = parseCommentBody( req.body?.body );
+
+    if ( body === comment.body )
+    {
+      res.status( 200 ).json( {
+        success: true,
+        data: sanitizeComment( comment ),
+        message: "Comment updated successfully",
+      } );
+      return;
+    }
+
+    const updated = await prisma.$transaction( async ( tx ) =>
+    {
+      const result = await tx.comment.update( {
+        where: { id: comment.id },
+        data: { body, editedAt: new Date() },
+        include: COMMENT_INCLUDE,
+      } );
+
+      await createTimelineEvent( {
+        todoId: todo.id,
+        type: TimelineEventType.COMMENT_EDITED,
+        message: `Comment edited: "${ excerpt( body ) }"`,
+        actorUserId: userId,
+        client: tx,
+      } );
+
+      return result;
+    } );
+
+    const data = sanitizeComment( updated );
+    await broadcastCommentChange( todo, userId, "updated", { comment: data } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data,
+      message: "Comment updated successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const deleteComment = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const todo = await findTodo( req, "EDITOR" );
+    const comment = await findComment( todo, parseCommentId( req.params.commentId ) );
+    await assertCanModify( comment, todo, userId, { allowOwner: true } );
+
+    await prisma.$transaction( async ( tx ) =>
+    {
+      const replyCount = await tx.comment.count( { where: { parentId: comment.id } } );
+
+      // Keep a placeholder when replies would otherwise lose their context.
+      if ( replyCount > 0 )
+      {
+        await tx.comment.update( {
+          where: { id: comment.id },
+          data: { deletedAt: new Date() },
+        } );
+      } else
+      {
+        await tx.comment.delete( { where: { id: comment.id } } );
+
+        // Drop a deleted parent placeholder once its last reply is gone.
+        if ( comment.parentId )
+        {
+          await tx.comment.deleteMany( {
+            where: { id: comment.parentId, deletedAt: { not: null }, replies: { none: {} } },
+          } );
+        }
+      }
+
+      await createTimelineEvent( {
+        todoId: todo.id,
+        type: TimelineEventType.COMMENT_DELETED,
+        message: `Comment deleted: "${ excerpt( comment.body ) }"`,
+        actorUserId: userId,
+        client: tx,
+      } );
+    } );
+
+    await broadcastCommentChange( todo, userId, "deleted", { commentId: comment.id } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Comment deleted successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
@@ -0,0 +1,89 @@
+import prisma from "../prisma/client.js";
+import { getStorage } from "../storage/index.js";
+import { parseEntityId } from "../utils/validation.js";
+import { isImageMimeType } from "../utils/attachments.js";
+import { FILE_VARIANTS, verifyFileSignature } from "../utils/fileLinks.js";
+import { todoVisibleWhere } from "../utils/workspaces.js";
+
+const VARIANT_KEY_FIELDS = {
+  original: "storageKey",
+  small: "smallKey",
+  medium: "mediumKey",
+};
+
+const parseVariant = ( value ) =>
+{
+  if ( typeof value === "undefined" || value === "" )
+  {
+    return "original";
+  }
+  if ( !FILE_VARIANTS.includes( value ) )
+  {
+    const error = new Error( `variant must be one of ${ FILE_VARIANTS.join( ", " ) }` );
+    error.statusCode = 400;
+    throw error;
+  }
+  return value;
+};
+
+const contentDisposition = ( type, filename ) =>
+  `${ type }; filename="${ filename.replace( /[^\x20-\x7e]|["\\]/g, "_" ) }"; filename*=UTF-8''${ encodeURIComponent( filename ) }`;
+
+/**
+ * Serve an attachment's file (or thumbnail) from private storage, either to
+ * the holder of a valid signed link or to authenticated members of its todo's
+ * workspace and the todo's assignee. Files of trashed todos are not found.
+ */
+export const serveFile = async ( req, res, next ) =>
+{
+  try
+  {
+    const attachmentId = parseEntityId( req.params.id, "File" );
+    const variant = parseVariant( req.query.variant );
+    const where = { id: attachmentId, todo: { deletedAt: null } };
+
+    if ( req.user )
+    {
+      where.todo = { ...where.todo, ...todoVisibleWhere( req.user.id ) };
+    } else if ( !verifyFileSignature( {
+      attachmentId,
+      variant,
+      expires: req.query.expires,
+      signature: req.query.signature,
+    } ) )
+    {
+      const error = new Error( "File link is invalid or has expired" );
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const attachment = await prisma.attachment.findFirst( { where } );
+    const key = attachment?.[ VARIANT_KEY_FIELDS[ variant ] ];
+
+    if ( !key )
+    {
+      const error = new Error( attachment ? `This file has no ${ variant } variant` : "File not found" );
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const content = await getStorage().download( key );
+    const mimeType = variant === "original" ? attachment.mimeType : "image/webp";
+
+    res.set( {
+      "Content-Type": mimeType,
+      "Content-Disposition": contentDisposition(
+        isImageMimeType( mimeType ) ? "inline" : "attachment",
+        attachment.filename
+      ),
+      "Cache-Control": "private, max-age=300",
+      "X-Content-Type-Options": "nosniff",
+      // Uploaded SVGs (or anything a browser renders) must not run scripts on the API origin.
+      "Content-Security-Policy": "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox",
+    } );
+    res.status( 200 ).send( content );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
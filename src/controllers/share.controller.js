@@ -0,0 +1,219 @@
+import { TimelineEventType } from "@prisma/client";
+
+import prisma from "../prisma/client.js";
+import { createTimelineEvent } from "../utils/timeline.js";
+import { broadcastChange } from "../events/todoEvents.js";
+import { parseEntityId, parseNullableDate, parseTodoId } from "../utils/validation.js";
+import
+{
+  buildTodoTree,
+  collectDescendantIds,
+  fetchTodoTreeForUser,
+  TODO_INCLUDE,
+} from "../utils/todoTree.js";
+import { findAccessibleTodo } from "../utils/workspaces.js";
+import
+{
+  createShareToken,
+  hashShareToken,
+  sharedTodoUrl,
+  toSharedTodo,
+} from "../utils/shareLinks.js";
+
+const SHARE_INCLUDE = {
+  createdBy: { select: { id: true, name: true } },
+};
+
+const sanitizeShare = ( share ) => ( {
+  id: share.id,
+  todoId: share.todoId,
+  createdBy: share.createdBy,
+  expiresAt: share.expiresAt,
+  expired: Boolean( share.expiresAt && share.expiresAt <= new Date() ),
+  createdAt: share.createdAt,
+} );
+
+// Sharing publishes the subtree, so only owners of the todo's workspace manage links.
+const findTodo = ( req ) =>
+  findAccessibleTodo( prisma, {
+    id: parseTodoId( req.params.id ),
+    userId: req.user.id,
+    minRole: "OWNER",
+    select: { id: true },
+  } );
+
+const broadcastShareChange = async ( todo, userId, action, payload ) =>
+{
+  const { map } = await fetchTodoTreeForUser( userId );
+  const updated = map.get( todo.id );
+
+  broadcastChange( todo.workspaceId, {
+    type: `share_${ action }`,
+    todoId: todo.id,
+    ...payload,
+    todos: updated ? [ updated ] : [],
+  } );
+};
+
+export const listShares = async ( req, res, next ) =>
+{
+  try
+  {
+    const todo = await findTodo( req );
+    const shares = await prisma.todoShare.findMany( {
+      where: { todoId: todo.id },
+      orderBy: [ { createdAt: "desc" }, { id: "desc" } ],
+      include: SHARE_INCLUDE,
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: shares.map( sanitizeShare ),
+      message: "Share links fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+/**
+ * Create a public link to a todo and its subtodos. The response carries the
+ * only copy of the token.
+ */
+export const createShare = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const todo = await findTodo( req );
+    const expiresAt = parseNullableDate( req.body?.expiresAt, "expiresAt" );
+
+    if ( expiresAt && expiresAt <= new Date() )
+    {
+      const error = new Error( "expiresAt must be in the future" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const token = createShareToken();
+    const share = await prisma.$transaction( async ( tx ) =>
+    {
+      const created = await tx.todoShare.create( {
+        data: { todoId: todo.id, tokenHash: hashShareToken( token ), createdById: userId, expiresAt },
+        include: SHARE_INCLUDE,
+      } );
+
+      await createTimelineEvent( {
+        todoId: todo.id,
+        type: TimelineEventType.SHARE_CREATED,
+        message: expiresAt
+          ? `Share link ${ created.id } created, expiring ${ expiresAt.toISOString() }`
+          : `Share link ${ created.id } created`,
+        actorUserId: userId,
+        client: tx,
+      } );
+
+      return created;
+    } );
+
+    const data = sanitizeShare( share );
+    await broadcastShareChange( todo, userId, "created", { share: data } );
+
+    res.status( 201 ).json( {
+      success: true,
+      data: { ...data, token, url: sharedTodoUrl( token ) },
+      message: "Share link created successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const revokeShare = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const todo = await findTodo( req );
+    const shareId = parseEntityId( req.params.shareId, "Share" );
+
+    await prisma.$transaction( async ( tx ) =>
+    {
+      const { count } = await tx.todoShare.deleteMany( {
+        where: { id: shareId, todoId: todo.id },
+      } );
+
+      if ( count === 0 )
+      {
+        const error = new Error( "Share link not found" );
+        error.statusCode = 404;
+        throw error;
+      }
+
+      await createTimelineEvent( {
+        todoId: todo.id,
+        type: TimelineEventType.SHARE_REVOKED,
+        message: `Share link ${ shareId } revoked`,
+        actorUserId: userId,
+        client: tx,
+      } );
+    } );
+
+    await broadcastShareChange( todo, userId, "revoked", { shareId } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Share link revoked successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+/**
+ * Public, unauthenticated view of a shared todo and its live subtodos.
+ * Unknown, revoked and expired tokens, and trashed todos, are all reported
+ * as not found.
+ */
+export const getSharedTodo = async ( req, res, next ) =>
+{
+  try
+  {
+    const token = typeof req.params.token === "string" ? req.params.token : "";
+    const share = await prisma.todoShare.findUnique( {
+      where: { tokenHash: hashShareToken( token ) },
+      include: { todo: { select: { id: true, deletedAt: true } } },
+    } );
+
+    if ( !share
+      || share.todo.deletedAt
+      || ( share.expiresAt && share.expiresAt <= new Date() ) )
+    {
+      const error = new Error( "Shared todo not found" );
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const subtreeIds = new Set( [ share.todoId, ...await collectDescendantIds( prisma, share.todoId ) ] );
+    const todos = await prisma.todo.findMany( {
+      where: { id: { in: [ ...subtreeIds ] } },
+      orderBy: [ { position: "asc" }, { createdAt: "asc" } ],
+      include: TODO_INCLUDE,
+    } );
+    const { map } = buildTodoTree( todos );
+
+    res.set( "Cache-Control", "no-store" );
+    res.status( 200 ).json( {
+      success: true,
+      data: toSharedTodo( map.get( share.todoId ), subtreeIds ),
+      message: "Shared todo fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
@@ -0,0 +1,237 @@
+import prisma from "../prisma/client.js";
+import { broadcastChange } from "../events/todoEvents.js";
+import { parseTagId, sanitizeTag } from "../utils/tags.js";
+import { pickTodos, fetchTodoTreeForUser } from "../utils/todoTree.js";
+import { firstQueryValue } from "../utils/validation.js";
+import
+{
+  parseWorkspaceId,
+  workspaceAccessWhere,
+  findAccessibleWorkspace,
+  resolveTargetWorkspaceId,
+} from "../utils/workspaces.js";
+
+const TAG_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_TAG_NAME_LENGTH = 50;
+
+const parseTagName = ( value ) =>
+{
+  if ( typeof value !== "string" || !value.trim() )
+  {
+    const error = new Error( "Tag name is required and must be a string" );
+    error.statusCode = 400;
+    throw error;
+  }
+  if ( value.trim().length > MAX_TAG_NAME_LENGTH )
+  {
+    const error = new Error( `Tag name must be at most ${ MAX_TAG_NAME_LENGTH } characters` );
+    error.statusCode = 400;
+    throw error;
+  }
+  return value.trim();
+};
+
+const parseTagColor = ( value ) =>
+{
+  if ( typeof value === "undefined" || value === null || value === "" )
+  {
+    return null;
+  }
+  if ( typeof value !== "string" || !TAG_COLOR_PATTERN.test( value.trim() ) )
+  {
+    const error = new Error( "Tag color must be a hex color such as #ff8800" );
+    error.statusCode = 400;
+    throw error;
+  }
+  return value.trim().toLowerCase();
+};
+
+const duplicateNameError = ( name ) =>
+{
+  const error = new Error( `A tag named "${ name }" already exists in this workspace` );
+  error.statusCode = 409;
+  return error;
+};
+
+/**
+ * Load a tag of one of the user's workspaces for a change, which requires the
+ * EDITOR role there.
+ */
+const findTag = async ( req ) =>
+{
+  const id = parseTagId( req.params.id );
+  const tag = await prisma.tag.findFirst( {
+    where: { id, workspace: workspaceAccessWhere( req.user.id ) },
+  } );
+
+  if ( !tag )
+  {
+    const error = new Error( "Tag not found" );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await findAccessibleWorkspace( prisma, { id: tag.workspaceId, userId: req.user.id, minRole: "EDITOR" } );
+  return tag;
+};
+
+/**
+ * Push the todos carrying a renamed, recoloured or deleted tag to SSE clients.
+ */
+const broadcastTaggedTodos = async ( tag, userId, todoIds ) =>
+{
+  if ( todoIds.length === 0 )
+  {
+    return;
+  }
+
+  const { map } = await fetchTodoTreeForUser( userId );
+  broadcastChange( tag.workspaceId, {
+    type: "update",
+    todos: pickTodos( map, todoIds ),
+  } );
+};
+
+const findTaggedTodoIds = async ( tagId ) =>
+{
+  const todos = await prisma.todo.findMany( {
+    where: { deletedAt: null, tags: { some: { id: tagId } } },
+    select: { id: true },
+  } );
+  return todos.map( ( todo ) => todo.id );
+};
+
+export const listTags = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const rawWorkspaceId = firstQueryValue( req.query?.workspaceId );
+    const workspaceId = typeof rawWorkspaceId === "undefined" || rawWorkspaceId === ""
+      ? null
+      : ( await findAccessibleWorkspace( prisma, { id: parseWorkspaceId( rawWorkspaceId ), userId } ) ).id;
+
+    const tags = await prisma.tag.findMany( {
+      where: workspaceId ? { workspaceId } : { workspace: workspaceAccessWhere( userId ) },
+      orderBy: [ { name: "asc" }, { id: "asc" } ],
+      include: {
+        _count: { select: { todos: { where: { deletedAt: null } } } },
+      },
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: tags.map( ( tag ) => ( {
+        ...sanitizeTag( tag ),
+        workspaceId: tag.workspaceId,
+        todoCount: tag._count.todos,
+      } ) ),
+      message: "Tags fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const createTag = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const name = parseTagName( req.body?.name );
+    const color = parseTagColor( req.body?.color );
+    const workspaceId = await resolveTargetWorkspaceId( prisma, userId, req.body?.workspaceId );
+
+    const tag = await prisma.tag.create( {
+      data: { name, color, workspaceId },
+    } );
+
+    res.status( 201 ).json( {
+      success: true,
+      data: { ...sanitizeTag( tag ), workspaceId: tag.workspaceId },
+      message: "Tag created successfully",
+    } );
+  } catch ( error )
+  {
+    if ( error?.code === "P2002" )
+    {
+      next( duplicateNameError( req.body.name.trim() ) );
+      return;
+    }
+    next( error );
+  }
+};
+
+export const updateTag = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const tag = await findTag( req );
+    const updates = {};
+
+    if ( typeof req.body?.name !== "undefined" )
+    {
+      updates.name = parseTagName( req.body.name );
+    }
+
+    if ( typeof req.body?.color !== "undefined" )
+    {
+      updates.color = parseTagColor( req.body.color );
+    }
+
+    if ( Object.keys( updates ).length === 0 )
+    {
+      res.status( 400 ).json( {
+        success: false,
+        data: null,
+        message: "No valid fields provided for update",
+      } );
+      return;
+    }
+
+    const updated = await prisma.tag.update( {
+      where: { id: tag.id },
+      data: updates,
+    } );
+
+    await broadcastTaggedTodos( tag, userId, await findTaggedTodoIds( tag.id ) );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: { ...sanitizeTag( updated ), workspaceId: updated.workspaceId },
+      message: "Tag updated successfully",
+    } );
+  } catch ( error )
+  {
+    if ( error?.code === "P2002" )
+    {
+      next( duplicateNameError( req.body.name.trim() ) );
+      return;
+    }
+    next( error );
+  }
+};
+
+export const deleteTag = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const tag = await findTag( req );
+    const todoIds = await findTaggedTodoIds( tag.id );
+
+    await prisma.tag.delete( { where: { id: tag.id } } );
+    await broadcastTaggedTodos( tag, userId, todoIds );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Tag deleted successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
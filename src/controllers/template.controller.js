@@ -0,0 +1,504 @@
+import { TimelineEventType } from "@prisma/client";
+
+import prisma from "../prisma/client.js";
+import { createTimelineEvent } from "../utils/timeline.js";
+import { broadcastChange } from "../events/todoEvents.js";
+import
+{
+  parseEntityId,
+  parseTodoId,
+  parseNullableDate,
+  parseStatusMode,
+  parsePriority,
+} from "../utils/validation.js";
+import
+{
+  buildTodoTree,
+  pickTodos,
+  fetchTodoTreeForUser,
+  fetchSubtreeNodes,
+  POSITION_GAP,
+  nextSiblingPosition,
+} from "../utils/todoTree.js";
+import { rollupDerivedStatuses, rollupDerivedTimelines } from "../utils/rollup.js";
+import { parseWorkspaceId, findAccessibleTodo, resolveTargetWorkspaceId } from "../utils/workspaces.js";
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const MAX_TEMPLATE_ITEMS = 500;
+
+const parseTemplateId = ( value ) => parseEntityId( value, "Template" );
+
+const sanitizeTemplate = ( template ) => ( {
+  id: template.id,
+  name: template.name,
+  description: template.description,
+  items: template.items,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+} );
+
+const parseName = ( value ) =>
+{
+  if ( typeof value !== "string" || !value.trim() )
+  {
+    const error = new Error( "Template name is required and must be a string" );
+    error.statusCode = 400;
+    throw error;
+  }
+  return value.trim();
+};
+
+const parseDescription = ( value ) =>
+{
+  if ( value !== null && typeof value !== "string" )
+  {
+    const error = new Error( "Description must be a string or null" );
+    error.statusCode = 400;
+    throw error;
+  }
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+};
+
+const parseOffset = ( value, fieldName ) =>
+{
+  if ( typeof value === "undefined" || value === null )
+  {
+    return null;
+  }
+  if ( typeof value !== "number" || !Number.isFinite( value ) )
+  {
+    const error = new Error( `${ fieldName } must be a number of days or null` );
+    error.statusCode = 400;
+    throw error;
+  }
+  return value;
+};
+
+/**
+ * Validate and normalize a nested list of template items.
+ * Each item: `{ title, description?, startOffsetDays?, endOffsetDays?, statusMode?, priority?, subtodos? }`,
+ * where offsets are days relative to the anchor date chosen on instantiation.
+ * @param {unknown} items
+ */
+const parseTemplateItems = ( items ) =>
+{
+  let count = 0;
+
+  const parseItems = ( list, path ) =>
+  {
+    if ( !Array.isArray( list ) )
+    {
+      const error = new Error( `${ path } must be an array` );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return list.map( ( item, index ) =>
+    {
+      const itemPath = `${ path }[${ index }]`;
+      count += 1;
+
+      if ( count > MAX_TEMPLATE_ITEMS )
+      {
+        const error = new Error( `A template can contain at most ${ MAX_TEMPLATE_ITEMS } items` );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if ( !item || typeof item !== "object" || typeof item.title !== "string" || !item.title.trim() )
+      {
+        const error = new Error( `${ itemPath }.title is required and must be a string` );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const startOffsetDays = parseOffset( item.startOffsetDays, `${ itemPath }.startOffsetDays` );
+      const endOffsetDays = parseOffset( item.endOffsetDays, `${ itemPath }.endOffsetDays` );
+
+      if ( startOffsetDays !== null && endOffsetDays !== null && startOffsetDays > endOffsetDays )
+      {
+        const error = new Error( `${ itemPath }.startOffsetDays must be before or equal to endOffsetDays` );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return {
+        title: item.title.trim(),
+        description: parseDescription( item.description ?? null ),
+        startOffsetDays,
+        endOffsetDays,
+        statusMode: parseStatusMode( item.statusMode ) ?? "DERIVED",
+        priority: parsePriority( item.priority ) ?? "NONE",
+        subtodos: parseItems( item.subtodos ?? [], `${ itemPath }.subtodos` ),
+      };
+    } );
+  };
+
+  const parsed = parseItems( items, "items" );
+  if ( parsed.length === 0 )
+  {
+    const error = new Error( "A template needs at least one item" );
+    error.statusCode = 400;
+    throw error;
+  }
+  return parsed;
+};
+
+const hasDatedItems = ( items ) =>
+  items.some( ( item ) =>
+    item.startOffsetDays !== null || item.endOffsetDays !== null || hasDatedItems( item.subtodos )
+  );
+
+/**
+ * Convert a live todo subtree into template items with dates relative to the
+ * root's start date (or the earliest date found in the subtree).
+ */
+const captureTodoSubtree = async ( todoId, userId ) =>
+{
+  await findAccessibleTodo( prisma, { id: todoId, userId, allowAssignee: true, select: { id: true } } );
+  const todos = await fetchSubtreeNodes( prisma, todoId );
+
+  if ( !todos )
+  {
+    return null;
+  }
+
+  const [ root ] = todos;
+
+  const timestamps = todos
+    .flatMap( ( todo ) => [ todo.startDate, todo.endDate ] )
+    .filter( Boolean )
+    .map( ( date ) => date.getTime() );
+  const anchor = root.startDate?.getTime() ?? ( timestamps.length > 0 ? Math.min( ...timestamps ) : null );
+  const toOffset = ( date ) => ( date && anchor !== null ? ( date.getTime() - anchor ) / DAY_IN_MS : null );
+
+  const { map } = buildTodoTree( todos );
+  const toItem = ( node ) => ( {
+    title: node.title,
+    description: node.description,
+    startOffsetDays: toOffset( node.startDate ),
+    endOffsetDays: toOffset( node.endDate ),
+    statusMode: node.statusMode,
+    priority: node.priority,
+    subtodos: node.subtodos.map( toItem ),
+  } );
+
+  return { root, items: [ toItem( map.get( root.id ) ) ] };
+};
+
+const findTemplate = async ( req ) =>
+{
+  const id = parseTemplateId( req.params.id );
+  const template = await prisma.template.findFirst( {
+    where: { id, userId: req.user.id },
+  } );
+
+  if ( !template )
+  {
+    const error = new Error( "Template not found" );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return template;
+};
+
+export const listTemplates = async ( req, res, next ) =>
+{
+  try
+  {
+    const templates = await prisma.template.findMany( {
+      where: { userId: req.user.id },
+      orderBy: { name: "asc" },
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: templates.map( sanitizeTemplate ),
+      message: "Templates fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const getTemplate = async ( req, res, next ) =>
+{
+  try
+  {
+    const template = await findTemplate( req );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: sanitizeTemplate( template ),
+      message: "Template fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const createTemplate = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const { todoId, name, description, items } = req.body ?? {};
+
+    let parsedItems;
+    let defaultName = null;
+
+    if ( typeof todoId !== "undefined" && todoId !== null && todoId !== "" )
+    {
+      const captured = await captureTodoSubtree( parseTodoId( todoId ), userId );
+      if ( !captured )
+      {
+        const error = new Error( "Todo not found" );
+        error.statusCode = 404;
+        throw error;
+      }
+      parsedItems = captured.items;
+      defaultName = captured.root.title;
+    } else
+    {
+      parsedItems = parseTemplateItems( items );
+    }
+
+    const template = await prisma.template.create( {
+      data: {
+        name: typeof name === "undefined" && defaultName ? defaultName : parseName( name ),
+        description: typeof description === "undefined" ? null : parseDescription( description ),
+        items: parsedItems,
+        userId,
+      },
+    } );
+
+    res.status( 201 ).json( {
+      success: true,
+      data: sanitizeTemplate( template ),
+      message: "Template created successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const updateTemplate = async ( req, res, next ) =>
+{
+  try
+  {
+    const template = await findTemplate( req );
+    const { name, description, items } = req.body ?? {};
+    const updates = {};
+
+    if ( typeof name !== "undefined" )
+    {
+      updates.name = parseName( name );
+    }
+
+    if ( typeof description !== "undefined" )
+    {
+      updates.description = parseDescription( description );
+    }
+
+    if ( typeof items !== "undefined" )
+    {
+      updates.items = parseTemplateItems( items );
+    }
+
+    if ( Object.keys( updates ).length === 0 )
+    {
+      res.status( 400 ).json( {
+        success: false,
+        data: null,
+        message: "No valid fields provided for update",
+      } );
+      return;
+    }
+
+    const updated = await prisma.template.update( {
+      where: { id: template.id },
+      data: updates,
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: sanitizeTemplate( updated ),
+      message: "Template updated successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const deleteTemplate = async ( req, res, next ) =>
+{
+  try
+  {
+    const template = await findTemplate( req );
+
+    await prisma.template.delete( { where: { id: template.id } } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Template deleted successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const instantiateTemplate = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const template = await findTemplate( req );
+    const items = parseTemplateItems( template.items );
+    const { parentId } = req.body ?? {};
+
+    const anchorDate = parseNullableDate( req.body?.anchorDate, "anchorDate" );
+    if ( !anchorDate && hasDatedItems( items ) )
+    {
+      const error = new Error( "anchorDate is required for templates with dates" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let parent = null;
+    let workspaceId;
+    if ( typeof parentId !== "undefined" && parentId !== null && parentId !== "" )
+    {
+      parent = await findAccessibleTodo( prisma, {
+        id: parseTodoId( parentId ),
+        userId,
+        minRole: "EDITOR",
+        select: { id: true, title: true },
+        notFoundMessage: "Parent todo not found",
+      } );
+      workspaceId = parent.workspaceId;
+
+      if ( req.body.workspaceId && parseWorkspaceId( req.body.workspaceId ) !== workspaceId )
+      {
+        const error = new Error( "Subtodos must be created in their parent's workspace" );
+        error.statusCode = 400;
+        throw error;
+      }
+    } else
+    {
+      workspaceId = await resolveTargetWorkspaceId( prisma, userId, req.body?.workspaceId );
+    }
+
+    const toDate = ( offsetDays ) =>
+      ( offsetDays === null ? null : new Date( anchorDate.getTime() + Math.round( offsetDays * DAY_IN_MS ) ) );
+
+    // An item with dated subtodos gets the range derived from them (earliest
+    // start, latest end), the same way rollupDerivedTimelines keeps it later.
+    const resolveDates = ( item ) =>
+    {
+      const dated = item.subtodos
+        .map( resolveDates )
+        .filter( ( range ) => range.startDate || range.endDate );
+
+      if ( dated.length === 0 )
+      {
+        return { startDate: toDate( item.startOffsetDays ), endDate: toDate( item.endOffsetDays ) };
+      }
+
+      const pick = ( dates, compare ) => dates.filter( Boolean ).reduce(
+        ( picked, date ) => ( !picked || compare( date, picked ) ? date : picked ),
+        null
+      );
+      return {
+        startDate: pick( dated.map( ( range ) => range.startDate ), ( left, right ) => left < right ),
+        endDate: pick( dated.map( ( range ) => range.endDate ), ( left, right ) => left > right ),
+      };
+    };
+
+    const { rootIds, rolledUpIds } = await prisma.$transaction( async ( tx ) =>
+    {
+      const createdRootIds = [];
+
+      const createItems = async ( list, parentTodoId, isRoot ) =>
+      {
+        for ( const [ index, item ] of list.entries() )
+        {
+          const created = await tx.todo.create( {
+            data: {
+              title: item.title,
+              description: item.description,
+              ...resolveDates( item ),
+              statusMode: item.statusMode,
+              priority: item.priority,
+              position: isRoot
+                ? await nextSiblingPosition( tx, workspaceId, parentTodoId )
+                : ( index + 1 ) * POSITION_GAP,
+              userId,
+              workspaceId,
+              parentId: parentTodoId,
+            },
+          } );
+
+          if ( isRoot )
+          {
+            createdRootIds.push( created.id );
+          }
+
+          await createTimelineEvent( {
+            todoId: created.id,
+            type: TimelineEventType.CREATED,
+            message: `Created from template "${ template.name }"`,
+            actorUserId: userId,
+            client: tx,
+          } );
+
+          await createItems( item.subtodos, created.id, false );
+        }
+      };
+
+      await createItems( items, parent?.id ?? null, true );
+
+      if ( parent )
+      {
+        await createTimelineEvent( {
+          todoId: parent.id,
+          type: TimelineEventType.SUBTODO_ADDED,
+          message: `Subtodos added from template "${ template.name }"`,
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
+
+      return {
+        rootIds: createdRootIds,
+        rolledUpIds: [
+          ...await rollupDerivedStatuses( tx, { todoId: parent?.id, userId } ),
+          ...await rollupDerivedTimelines( tx, { todoId: parent?.id, userId } ),
+        ],
+      };
+    }, { timeout: 30_000 } );
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todos = pickTodos( map, rootIds );
+
+    broadcastChange( workspaceId, {
+      type: "create",
+      todos: [ ...todos, ...pickTodos( map, [ parent?.id, ...rolledUpIds ] ) ],
+    } );
+
+    res.status( 201 ).json( {
+      success: true,
+      data: todos,
+      message: "Template instantiated successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
@@ -1,38 +1,88 @@
-import jwt from "jsonwebtoken";
-import { TimelineEventType } from "@prisma/client";
+import { Prisma, TimelineEventType } from "@prisma/client";
 
 import prisma from "../prisma/client.js";
 import { createTimelineEvent } from "../utils/timeline.js";
-import todoEvents from "../events/todoEvents.js";
-import { uploadToSupabase, deleteFromSupabase } from "../utils/supabase.js";
-
-const ensureJwtSecret = () =>
+import todoEvents, { broadcastChange, broadcastTodos } from "../events/todoEvents.js";
+import { verifyAccessToken } from "../utils/sessions.js";
+import
 {
-  const secret = process.env.JWT_SECRET;
-  if ( !secret )
-  {
-    throw new Error( "JWT_SECRET is not configured" );
-  }
-  return secret;
-};
+  storeUploadedFile,
+  copyStoredFile,
+  deleteUnusedFiles,
+  findTodoImage,
+} from "../utils/attachments.js";
+import { getPurgeDate, purgeTrashedTodos } from "../utils/trash.js";
+import
+{
+  parseRecurrenceRule,
+  parseRecurrenceRuleInput,
+  listOccurrences,
+  getOccurrenceDate,
+  nextOccurrenceOf,
+} from "../utils/recurrence.js";
+import { parseTagIds, findWorkspaceTags, describeTagChange } from "../utils/tags.js";
+import { parseAssigneeId, findAssignee, recordAssigneeChange, notifyAssigneeChange } from "../utils/assignees.js";
+import { wouldCreateDependencyCycle } from "../utils/dependencies.js";
+import { buildSchedule } from "../utils/schedule.js";
+import
+{
+  parseTodoId,
+  parseNullableDate,
+  parseStatus,
+  parseStatusMode,
+  assertValidTimeline,
+  firstQueryValue,
+  parsePositiveInteger,
+  parseBooleanOption,
+  parsePriority,
+  TODO_PRIORITIES,
+} from "../utils/validation.js";
+import
+{
+  normalizeTodo,
+  buildTodoTree,
+  pickTodos,
+  fetchTodoTreeForUser,
+  collectDescendantIds,
+  collectAncestorIds,
+  fetchSubtreeNodes,
+  cloneTodoSubtree,
+  POSITION_GAP,
+  MIN_POSITION_SPACING,
+  nextSiblingPosition,
+  rebalanceSiblingPositions,
+  TODO_INCLUDE,
+} from "../utils/todoTree.js";
+import
+{
+  rollupDerivedStatuses,
+  applyStatusChange,
+  describeTimelineChange,
+  hasDatedSubtodos,
+  rollupDerivedTimelines,
+} from "../utils/rollup.js";
+import
+{
+  parseWorkspaceId,
+  todoAccessWhere,
+  todoVisibleWhere,
+  findAccessibleTodo,
+  findAccessibleWorkspace,
+  resolveTargetWorkspaceId,
+} from "../utils/workspaces.js";
 
 const SSE_HEARTBEAT_INTERVAL = 30_000;
 
 /**
- * @type {Set<{ userId: number, res: import("express").Response, heartbeat: NodeJS.Timeout }>}
+ * @type {Set<{ userId: number, sessionId: number, res: import("express").Response, heartbeat: NodeJS.Timeout }>}
  */
 const activeSseClients = new Set();
 
-const broadcastChange = ( userId, payload ) =>
-{
-  todoEvents.emit( "change", { userId, ...payload } );
-};
-
-todoEvents.on( "change", ( event ) =>
+todoEvents.on( "change", ( event, recipientIds ) =>
 {
   for ( const client of Array.from( activeSseClients ) )
   {
-    if ( client.userId !== event.userId )
+    if ( !recipientIds.includes( client.userId ) )
     {
       continue;
     }
@@ -55,168 +105,447 @@ todoEvents.on( "change", ( event ) =>
   }
 } );
 
-const parseTodoId = ( value ) =>
+todoEvents.on( "sessions_revoked", ( sessionIds ) =>
+{
+  for ( const client of Array.from( activeSseClients ) )
+  {
+    if ( sessionIds.includes( client.sessionId ) )
+    {
+      clearInterval( client.heartbeat );
+      activeSseClients.delete( client );
+      client.res.end();
+    }
+  }
+} );
+
+const TODO_SORT_FIELDS = [ "position", "createdAt", "updatedAt", "title", "startDate", "endDate", "status", "priority", "smart" ];
+const NULLABLE_SORT_FIELDS = new Set( [ "startDate", "endDate" ] );
+const MAX_LIST_LIMIT = 200;
+const TAG_MATCH_MODES = [ "any", "all" ];
+
+/**
+ * Parse the filtering, sorting and pagination query parameters of GET /api/todos.
+ * @param {Record<string, string | string[] | undefined>} query
+ */
+const parseListQuery = ( query = {} ) =>
 {
-  const id = Number.parseInt( value, 10 );
-  if ( Number.isNaN( id ) || id <= 0 )
+  const rawStatuses = [].concat( query.status ?? [] )
+    .flatMap( ( value ) => String( value ).split( "," ) )
+    .map( ( value ) => value.trim() )
+    .filter( Boolean );
+  const statuses = [ ...new Set( rawStatuses.map( ( value ) => parseStatus( value, true ) ) ) ];
+
+  const startDate = parseNullableDate( firstQueryValue( query.startDate ), "startDate" );
+  const endDate = parseNullableDate( firstQueryValue( query.endDate ), "endDate" );
+  assertValidTimeline( startDate, endDate );
+
+  const rawParentId = firstQueryValue( query.parentId );
+  const parentId = typeof rawParentId === "undefined" || rawParentId === "" || rawParentId === "null"
+    ? null
+    : parseTodoId( rawParentId );
+
+  const rawMaxDepth = firstQueryValue( query.maxDepth );
+  const maxDepth = typeof rawMaxDepth === "undefined" || rawMaxDepth === ""
+    ? null
+    : parsePositiveInteger( rawMaxDepth, "maxDepth", { allowZero: true } );
+
+  const sort = firstQueryValue( query.sort ) || "position";
+  if ( !TODO_SORT_FIELDS.includes( sort ) )
   {
-    const error = new Error( "Todo id must be a positive integer" );
+    const error = new Error( `sort must be one of ${ TODO_SORT_FIELDS.join( ", " ) }` );
     error.statusCode = 400;
     throw error;
   }
-  return id;
-};
 
-const parseNullableDate = ( value, fieldName ) =>
-{
-  if ( value === undefined || value === null || value === "" )
+  const order = String( firstQueryValue( query.order ) || "asc" ).toLowerCase();
+  if ( ![ "asc", "desc" ].includes( order ) )
   {
-    return null;
+    const error = new Error( "order must be asc or desc" );
+    error.statusCode = 400;
+    throw error;
   }
-  const date = new Date( value );
-  if ( Number.isNaN( date.getTime() ) )
+
+  const rawLimit = firstQueryValue( query.limit );
+  const limit = typeof rawLimit === "undefined" || rawLimit === ""
+    ? null
+    : Math.min( parsePositiveInteger( rawLimit, "limit" ), MAX_LIST_LIMIT );
+
+  const rawCursor = firstQueryValue( query.cursor );
+  const cursor = typeof rawCursor === "undefined" || rawCursor === ""
+    ? null
+    : parsePositiveInteger( rawCursor, "cursor" );
+
+  const tagIds = parseTagIds( [].concat( query.tagIds ?? [] ).join( "," ) );
+  const tagMatch = String( firstQueryValue( query.tagMatch ) || "any" ).toLowerCase();
+  if ( !TAG_MATCH_MODES.includes( tagMatch ) )
   {
-    const error = new Error( `${ fieldName } must be a valid date string` );
+    const error = new Error( "tagMatch must be any or all" );
     error.statusCode = 400;
     throw error;
   }
-  return date;
+
+  const rawWorkspaceId = firstQueryValue( query.workspaceId );
+  const workspaceId = typeof rawWorkspaceId === "undefined" || rawWorkspaceId === ""
+    ? null
+    : parseWorkspaceId( rawWorkspaceId );
+
+  return { statuses, startDate, endDate, tagIds, tagMatch, parentId, workspaceId, maxDepth, sort, order, limit, cursor };
 };
 
-const parseStatus = ( value, required = false ) =>
+const buildListOrderBy = ( sort, order ) =>
 {
-  if ( typeof value === "undefined" || value === null || value === "" )
+  // The smart order is applied in memory (see compareSmartOrder).
+  if ( sort === "smart" )
   {
-    if ( required )
-    {
-      const error = new Error( "Status is required" );
-      error.statusCode = 400;
-      throw error;
-    }
-    return undefined;
+    return [ { id: "asc" } ];
   }
-  const normalized = String( value ).trim().toUpperCase();
-  if ( ![ "TODO", "IN_PROGRESS", "DONE" ].includes( normalized ) )
+
+  return [
+    { [ sort ]: NULLABLE_SORT_FIELDS.has( sort ) ? { sort: order, nulls: "last" } : order },
+    { id: order },
+  ];
+};
+
+/**
+ * Comparator for `sort=smart`: open todos before finished ones, overdue todos
+ * first, then by descending priority, then by nearest end date.
+ * @param {Date} now
+ */
+const compareSmartOrder = ( now ) =>
+{
+  const rank = ( todo ) => [
+    todo.status === "DONE" ? 1 : 0,
+    todo.status !== "DONE" && todo.endDate && todo.endDate < now ? 0 : 1,
+    -TODO_PRIORITIES.indexOf( todo.priority ),
+    todo.endDate ? todo.endDate.getTime() : Number.POSITIVE_INFINITY,
+    todo.id,
+  ];
+
+  return ( left, right ) =>
   {
-    const error = new Error( "Status must be TODO, IN_PROGRESS, or DONE" );
-    error.statusCode = 400;
-    throw error;
-  }
-  return normalized;
+    const leftRank = rank( left );
+    const rightRank = rank( right );
+    const index = leftRank.findIndex( ( value, position ) => value !== rightRank[ position ] );
+    return index === -1 ? 0 : Math.sign( leftRank[ index ] - rightRank[ index ] );
+  };
 };
 
-const assertValidTimeline = ( startDate, endDate ) =>
+/**
+ * One page of the listing roots in smart order, paginated with the same
+ * cursor semantics as the database-sorted listings.
+ */
+const fetchSmartRootPage = async ( rootIds, { order, limit, cursor } ) =>
 {
-  if ( startDate && endDate && startDate > endDate )
+  const compare = compareSmartOrder( new Date() );
+  const roots = ( await prisma.todo.findMany( {
+    where: { id: { in: rootIds } },
+    select: { id: true, status: true, priority: true, endDate: true },
+  } ) ).sort( ( left, right ) => ( order === "desc" ? compare( right, left ) : compare( left, right ) ) );
+
+  const start = cursor ? roots.findIndex( ( todo ) => todo.id === cursor ) + 1 : 0;
+  if ( cursor && start === 0 )
   {
-    const error = new Error( "startDate must be before or equal to endDate" );
+    const error = new Error( "cursor does not match a todo of this listing" );
     error.statusCode = 400;
     throw error;
   }
+
+  return roots.slice( start, limit ? start + limit + 1 : undefined );
 };
 
-const sanitizeTimeline = ( timelineEvents = [] ) =>
-  timelineEvents.map( ( event ) => ( {
-    id: event.id,
-    type: event.type,
-    message: event.message,
-    actorUserId: event.actorUserId,
-    createdAt: event.createdAt,
-  } ) );
-
-const normalizeTodo = ( todo ) => ( {
-  id: todo.id,
-  title: todo.title,
-  description: todo.description,
-  imageUrl: todo.imageUrl,
-  startDate: todo.startDate,
-  endDate: todo.endDate,
-  status: todo.status,
-  parentId: todo.parentId,
-  createdAt: todo.createdAt,
-  updatedAt: todo.updatedAt,
-  timeline: sanitizeTimeline( todo.timelineEvents ),
-  subtodos: [],
-} );
+/**
+ * Build the Prisma filter for todos that match the listing criteria. Date
+ * filters select todos whose own range overlaps the requested window; a todo
+ * with only one bound is treated as a single point in time. Tag filters match
+ * todos carrying any (or all) of the given tags.
+ * @returns {object | null} `null` when no filter is active.
+ */
+const buildListFilterWhere = ( { statuses, startDate, endDate, tagIds, tagMatch } ) =>
+{
+  const conditions = [];
+
+  if ( statuses.length > 0 )
+  {
+    conditions.push( { status: { in: statuses } } );
+  }
+
+  if ( tagIds.length > 0 && tagMatch === "all" )
+  {
+    tagIds.forEach( ( tagId ) => conditions.push( { tags: { some: { id: tagId } } } ) );
+  } else if ( tagIds.length > 0 )
+  {
+    conditions.push( { tags: { some: { id: { in: tagIds } } } } );
+  }
+
+  if ( startDate )
+  {
+    conditions.push( {
+      OR: [
+        { endDate: { gte: startDate } },
+        { endDate: null, startDate: { gte: startDate } },
+      ],
+    } );
+  }
+
+  if ( endDate )
+  {
+    conditions.push( {
+      OR: [
+        { startDate: { lte: endDate } },
+        { startDate: null, endDate: { lte: endDate } },
+      ],
+    } );
+  }
+
+  return conditions.length > 0 ? { AND: conditions } : null;
+};
 
-const buildTodoTree = ( todos ) =>
+/**
+ * Fetch a filtered, sorted page of todo trees. Pagination applies to the root
+ * todos of the listing (children of `parentId`, or top-level todos of the
+ * user's workspaces, or of `workspaceId` only); every matching descendant is
+ * returned attached to its root together with the ancestors that link them.
+ * @param {number} userId
+ * @param {ReturnType<typeof parseListQuery>} options
+ */
+const fetchTodoListForUser = async ( userId, options ) =>
 {
-  const map = new Map();
-  const nodes = todos.map( ( todo ) =>
+  const { parentId, workspaceId, maxDepth, sort, order, limit, cursor } = options;
+
+  if ( parentId )
+  {
+    await findAccessibleTodo( prisma, {
+      id: parentId,
+      userId,
+      allowAssignee: true,
+      select: { id: true },
+      notFoundMessage: "Parent todo not found",
+    } );
+  }
+
+  if ( workspaceId )
   {
-    const node = normalizeTodo( todo );
-    map.set( node.id, node );
-    return node;
+    await findAccessibleWorkspace( prisma, { id: workspaceId, userId } );
+  }
+
+  const scopeWhere = {
+    deletedAt: null,
+    ...todoAccessWhere( userId ),
+    ...( workspaceId ? { workspaceId } : {} ),
+  };
+  const hierarchy = await prisma.todo.findMany( {
+    where: scopeWhere,
+    select: { id: true, parentId: true },
   } );
+  const parentOf = new Map( hierarchy.map( ( todo ) => [ todo.id, todo.parentId ] ) );
 
-  const roots = [];
+  const filterWhere = buildListFilterWhere( options );
+  const matches = filterWhere
+    ? await prisma.todo.findMany( {
+      where: { ...scopeWhere, ...filterWhere },
+      select: { id: true },
+    } )
+    : hierarchy;
 
-  nodes.forEach( ( node ) =>
+  // Resolve each todo to the listing root it belongs to and its depth below it.
+  const placement = new Map();
+  const place = ( id ) =>
   {
-    if ( node.parentId )
+    if ( placement.has( id ) )
     {
-      const parent = map.get( node.parentId );
-      if ( parent )
-      {
-        parent.subtodos.push( node );
-      }
-    } else
+      return placement.get( id );
+    }
+
+    const ancestorId = parentOf.get( id ) ?? null;
+    let result = null;
+
+    if ( ancestorId === parentId )
     {
-      roots.push( node );
+      result = { rootId: id, depth: 0 };
+    } else if ( ancestorId !== null )
+    {
+      const ancestor = place( ancestorId );
+      result = ancestor ? { rootId: ancestor.rootId, depth: ancestor.depth + 1 } : null;
     }
-  } );
 
-  return { roots, map };
-};
+    placement.set( id, result );
+    return result;
+  };
+
+  const includedIds = new Set();
+  const rootIds = new Set();
+
+  for ( const { id } of matches )
+  {
+    const position = place( id );
+    if ( !position || ( maxDepth !== null && position.depth > maxDepth ) )
+    {
+      continue;
+    }
+
+    rootIds.add( position.rootId );
+    let current = id;
+    while ( current !== null && !includedIds.has( current ) )
+    {
+      includedIds.add( current );
+      current = current === position.rootId ? null : parentOf.get( current );
+    }
+  }
+
+  const orderBy = buildListOrderBy( sort, order );
+  const rootPage = sort === "smart"
+    ? await fetchSmartRootPage( [ ...rootIds ], { order, limit, cursor } )
+    : await prisma.todo.findMany( {
+      where: { id: { in: [ ...rootIds ] } },
+      select: { id: true },
+      orderBy,
+      ...( limit ? { take: limit + 1 } : {} ),
+      ...( cursor ? { cursor: { id: cursor }, skip: 1 } : {} ),
+    } );
+
+  const hasMore = Boolean( limit ) && rootPage.length > limit;
+  const pageRoots = hasMore ? rootPage.slice( 0, limit ) : rootPage;
+  const pageRootIds = new Set( pageRoots.map( ( todo ) => todo.id ) );
+  const pageIds = [ ...includedIds ].filter( ( id ) => pageRootIds.has( placement.get( id ).rootId ) );
 
-const fetchTodoTreeForUser = async ( userId ) =>
-{
   const todos = await prisma.todo.findMany( {
-    where: { userId },
-    orderBy: { createdAt: "asc" },
-    include: {
-      timelineEvents: {
-        orderBy: { createdAt: "desc" },
-        take: 50,
-      },
-    },
+    where: { id: { in: pageIds } },
+    orderBy,
+    include: TODO_INCLUDE,
   } );
 
-  return buildTodoTree( todos );
+  if ( sort === "smart" )
+  {
+    const compare = compareSmartOrder( new Date() );
+    todos.sort( ( left, right ) => ( order === "desc" ? compare( right, left ) : compare( left, right ) ) );
+  }
+
+  const { roots } = buildTodoTree( todos );
+
+  return {
+    roots,
+    pagination: {
+      limit,
+      total: rootIds.size,
+      hasMore,
+      nextCursor: hasMore ? pageRoots[ pageRoots.length - 1 ].id : null,
+    },
+  };
 };
 
-const collectDescendantIds = async ( client, rootId, userId ) =>
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const SEARCH_TITLE_HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, HighlightAll=true";
+const SEARCH_DESCRIPTION_HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5";
+
+// Highlights are HTML: the text is escaped before ts_headline adds the <mark>
+// tags, so that markup written in a todo is never returned as markup.
+const escapedHtmlColumn = ( column ) =>
+  Prisma.sql`replace(replace(replace(${ Prisma.raw( column ) }, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+/**
+ * Resolve the ancestor chain (root first) of each given todo. The chain stops
+ * below the first ancestor the user cannot see, e.g. above an assigned todo
+ * of a workspace they are not a member of.
+ * @param {Array<{ id: number, parentId: number | null }>} todos
+ * @param {number} userId
+ * @returns {Promise<Map<number, Array<{ id: number, title: string }>>>}
+ */
+const fetchBreadcrumbs = async ( todos, userId ) =>
 {
-  const ids = [];
-  const queue = [ rootId ];
+  const known = new Map();
+  let pending = [ ...new Set( todos.map( ( todo ) => todo.parentId ).filter( Boolean ) ) ];
 
-  while ( queue.length > 0 )
+  while ( pending.length > 0 )
   {
-    const current = queue.shift();
-    const children = await client.todo.findMany( {
-      where: { parentId: current, userId },
-      select: { id: true },
+    const ancestors = await prisma.todo.findMany( {
+      where: { id: { in: pending }, deletedAt: null, ...todoVisibleWhere( userId ) },
+      select: { id: true, title: true, parentId: true },
     } );
 
-    for ( const child of children )
+    ancestors.forEach( ( ancestor ) => known.set( ancestor.id, ancestor ) );
+    pending = [ ...new Set(
+      ancestors
+        .map( ( ancestor ) => ancestor.parentId )
+        .filter( ( id ) => id && !known.has( id ) )
+    ) ];
+  }
+
+  const breadcrumbs = new Map();
+  todos.forEach( ( todo ) =>
+  {
+    const chain = [];
+    let current = known.get( todo.parentId );
+    while ( current )
     {
-      ids.push( child.id );
-      queue.push( child.id );
+      chain.unshift( { id: current.id, title: current.title } );
+      current = known.get( current.parentId );
     }
+    breadcrumbs.set( todo.id, chain );
+  } );
+
+  return breadcrumbs;
+};
+
+/**
+ * Resolve the optional `workspaceId` query parameter to a workspace in which
+ * the user holds at least `minRole`.
+ * @returns {Promise<number | null>} `null` when no workspace was given.
+ */
+const resolveWorkspaceFilter = async ( query, userId, minRole = "VIEWER" ) =>
+{
+  const rawWorkspaceId = firstQueryValue( query?.workspaceId );
+  if ( typeof rawWorkspaceId === "undefined" || rawWorkspaceId === "" )
+  {
+    return null;
   }
 
-  return ids;
+  const workspace = await findAccessibleWorkspace( prisma, {
+    id: parseWorkspaceId( rawWorkspaceId ),
+    userId,
+    minRole,
+  } );
+  return workspace.id;
+};
+
+/**
+ * Pick todos from the user's tree, loading the ones outside it so that a
+ * change made by an assignee who is not a member of the workspace (e.g. to
+ * the ancestors their status change rolled up to) still reaches the members.
+ */
+const pickOrFetchTodos = async ( map, ids ) =>
+{
+  const uniqueIds = [ ...new Set( ids ) ];
+  const missingIds = uniqueIds.filter( ( id ) => !map.has( id ) );
+  const { map: fetched } = missingIds.length > 0
+    ? buildTodoTree( await prisma.todo.findMany( {
+      where: { id: { in: missingIds }, deletedAt: null },
+      include: TODO_INCLUDE,
+    } ) )
+    : { map: new Map() };
+
+  return uniqueIds.map( ( id ) => map.get( id ) ?? fetched.get( id ) ).filter( Boolean );
 };
 
+const recordPriorityChange = ( client, { todoId, from, to, userId } ) =>
+  createTimelineEvent( {
+    todoId,
+    type: TimelineEventType.PRIORITY_CHANGED,
+    message: `Priority changed from ${ from } to ${ to }`,
+    actorUserId: userId,
+    client,
+  } );
+
 export const listTodos = async ( req, res, next ) =>
 {
   try
   {
     const userId = req.user.id;
-    const { roots } = await fetchTodoTreeForUser( userId );
+    const options = parseListQuery( req.query );
+    const { roots, pagination } = await fetchTodoListForUser( userId, options );
     res.status( 200 ).json( {
       success: true,
-      data: roots,
+      data: { items: roots, pagination },
       message: "Todos fetched successfully",
     } );
   } catch ( error )
@@ -225,6 +554,146 @@ export const listTodos = async ( req, res, next ) =>
   }
 };
 
+/**
+ * List the live todos assigned to the user across every workspace and tree,
+ * as a flat page. Accepts the filters, sorting and pagination of GET
+ * /api/todos; `parentId` and `maxDepth` do not apply.
+ */
+export const listAssignedTodos = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const options = parseListQuery( req.query );
+    const { workspaceId, sort, order, limit, cursor } = options;
+
+    const where = {
+      deletedAt: null,
+      assigneeId: userId,
+      ...( workspaceId ? { workspaceId } : {} ),
+      ...buildListFilterWhere( options ),
+    };
+    const orderBy = buildListOrderBy( sort, order );
+    const page = sort === "smart"
+      ? await fetchSmartRootPage(
+        ( await prisma.todo.findMany( { where, select: { id: true } } ) ).map( ( todo ) => todo.id ),
+        { order, limit, cursor }
+      )
+      : await prisma.todo.findMany( {
+        where,
+        select: { id: true },
+        orderBy,
+        ...( limit ? { take: limit + 1 } : {} ),
+        ...( cursor ? { cursor: { id: cursor }, skip: 1 } : {} ),
+      } );
+
+    const hasMore = Boolean( limit ) && page.length > limit;
+    const pageIds = ( hasMore ? page.slice( 0, limit ) : page ).map( ( todo ) => todo.id );
+    const todos = await prisma.todo.findMany( {
+      where: { id: { in: pageIds } },
+      include: TODO_INCLUDE,
+    } );
+    const byId = new Map( todos.map( ( todo ) => [ todo.id, normalizeTodo( todo ) ] ) );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: {
+        items: pageIds.map( ( id ) => byId.get( id ) ),
+        pagination: {
+          limit,
+          total: await prisma.todo.count( { where } ),
+          hasMore,
+          nextCursor: hasMore ? pageIds[ pageIds.length - 1 ] : null,
+        },
+      },
+      message: "Assigned todos fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const searchTodos = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const q = firstQueryValue( req.query?.q );
+
+    if ( typeof q !== "string" || !q.trim() )
+    {
+      const error = new Error( "Search query q is required" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const rawLimit = firstQueryValue( req.query?.limit );
+    const limit = typeof rawLimit === "undefined" || rawLimit === ""
+      ? DEFAULT_SEARCH_LIMIT
+      : Math.min( parsePositiveInteger( rawLimit, "limit" ), MAX_SEARCH_LIMIT );
+
+    const workspaceId = await resolveWorkspaceFilter( req.query, userId );
+
+    const hits = await prisma.$queryRaw( Prisma.sql`
+      SELECT
+        t."id",
+        t."title",
+        t."description",
+        t."status",
+        t."parentId",
+        t."workspaceId",
+        t."startDate",
+        t."endDate",
+        ts_rank(t."searchVector", query) AS "rank",
+        ts_headline('simple', ${ escapedHtmlColumn( 't."title"' ) }, query, ${ SEARCH_TITLE_HEADLINE_OPTIONS }) AS "titleHighlight",
+        CASE
+          WHEN t."description" IS NULL THEN NULL
+          ELSE ts_headline('simple', ${ escapedHtmlColumn( 't."description"' ) }, query, ${ SEARCH_DESCRIPTION_HEADLINE_OPTIONS })
+        END AS "descriptionHighlight"
+      FROM "Todo" t, websearch_to_tsquery('simple', ${ q.trim() }) query
+      -- Same todos as todoVisibleWhere: those of the user's workspaces and those assigned to them.
+      WHERE (
+          t."workspaceId" IN (
+            SELECT m."workspaceId" FROM "WorkspaceMember" m WHERE m."userId" = ${ userId }
+          )
+          OR t."assigneeId" = ${ userId }
+        )
+        ${ workspaceId ? Prisma.sql`AND t."workspaceId" = ${ workspaceId }` : Prisma.empty }
+        AND t."deletedAt" IS NULL
+        AND t."searchVector" @@ query
+      ORDER BY "rank" DESC, t."updatedAt" DESC
+      LIMIT ${ limit }
+    ` );
+
+    const breadcrumbs = await fetchBreadcrumbs( hits, userId );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: hits.map( ( hit ) => ( {
+        id: hit.id,
+        title: hit.title,
+        description: hit.description,
+        status: hit.status,
+        parentId: hit.parentId,
+        workspaceId: hit.workspaceId,
+        startDate: hit.startDate,
+        endDate: hit.endDate,
+        rank: Number( hit.rank ),
+        highlight: {
+          title: hit.titleHighlight,
+          description: hit.descriptionHighlight,
+        },
+        breadcrumb: breadcrumbs.get( hit.id ) ?? [],
+      } ) ),
+      message: "Search completed successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
 export const getTodo = async ( req, res, next ) =>
 {
   try
@@ -252,12 +721,32 @@ export const getTodo = async ( req, res, next ) =>
   }
 };
 
+export const getTodoSchedule = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+    await findAccessibleTodo( prisma, { id, userId, allowAssignee: true, select: { id: true } } );
+    const nodes = await fetchSubtreeNodes( prisma, id );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: buildSchedule( nodes ),
+      message: "Schedule fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
 export const createTodo = async ( req, res, next ) =>
 {
   try
   {
     const userId = req.user.id;
-    const { title, description, parentId, status } = req.body;
+    const { title, description, parentId, status, statusMode } = req.body;
 
     if ( !title || typeof title !== "string" )
     {
@@ -268,35 +757,49 @@ export const createTodo = async ( req, res, next ) =>
 
     let parentRecord = null;
     let parentIdentifier = null;
+    let workspaceId;
 
     if ( typeof parentId !== "undefined" && parentId !== null && parentId !== "" )
     {
       parentIdentifier = parseTodoId( parentId );
-      parentRecord = await prisma.todo.findFirst( {
-        where: { id: parentIdentifier, userId },
+      parentRecord = await findAccessibleTodo( prisma, {
+        id: parentIdentifier,
+        userId,
+        minRole: "EDITOR",
         select: { id: true, title: true },
+        notFoundMessage: "Parent todo not found",
       } );
+      workspaceId = parentRecord.workspaceId;
 
-      if ( !parentRecord )
+      if ( req.body.workspaceId && parseWorkspaceId( req.body.workspaceId ) !== workspaceId )
       {
-        const error = new Error( "Parent todo not found" );
-        error.statusCode = 404;
+        const error = new Error( "Subtodos must be created in their parent's workspace" );
+        error.statusCode = 400;
         throw error;
       }
+    } else
+    {
+      workspaceId = await resolveTargetWorkspaceId( prisma, userId, req.body.workspaceId );
     }
 
-    let startDate = null;
-    let endDate = null;
+    const startDate = parseNullableDate( req.body.startDate, "startDate" );
+    const endDate = parseNullableDate( req.body.endDate, "endDate" );
+    assertValidTimeline( startDate, endDate );
+
+    const parsedStatus = parseStatus( status );
+    const parsedStatusMode = parseStatusMode( statusMode );
+    const priority = parsePriority( req.body.priority );
+    const recurrenceRule = parseRecurrenceRuleInput( req.body.recurrenceRule );
+    const tags = await findWorkspaceTags( prisma, workspaceId, parseTagIds( req.body.tagIds ) ?? [] );
+    const assignee = await findAssignee( prisma, parseAssigneeId( req.body.assigneeId ) ?? null );
 
-    if ( !parentRecord )
+    if ( recurrenceRule && !startDate && !endDate )
     {
-      startDate = parseNullableDate( req.body.startDate, "startDate" );
-      endDate = parseNullableDate( req.body.endDate, "endDate" );
-      assertValidTimeline( startDate, endDate );
+      const error = new Error( "A recurring todo needs a startDate or endDate" );
+      error.statusCode = 400;
+      throw error;
     }
 
-    const parsedStatus = parseStatus( status );
-
     const data = {
       title: title.trim(),
       description: typeof description === "string" && description.trim()
@@ -305,6 +808,7 @@ export const createTodo = async ( req, res, next ) =>
       startDate,
       endDate,
       userId,
+      workspaceId,
       parentId: parentIdentifier ?? undefined,
     };
 
@@ -313,122 +817,211 @@ export const createTodo = async ( req, res, next ) =>
       data.status = parsedStatus;
     }
 
-    // Only upload to Supabase if a file was actually provided
-    if ( req.file && req.file.buffer && req.file.buffer.length > 0 )
+    if ( typeof parsedStatusMode !== "undefined" )
     {
-      const originalName = req.file.originalname || "image";
-      const uniqueFilename = `${ Date.now() }-${ originalName }`;
-      // Sanitize filename while preserving extension
-      const sanitizedFilename = uniqueFilename.replace( /[^a-zA-Z0-9._-]/g, "_" );
-
-      const { url } = await uploadToSupabase(
-        req.file.buffer,
-        sanitizedFilename,
-        req.file.mimetype || "image/jpeg"
-      );
-
-      data.imageUrl = url;
+      data.statusMode = parsedStatusMode;
     }
 
-    const created = await prisma.todo.create( {
-      data,
-    } );
-
-    await createTimelineEvent( {
-      todoId: created.id,
-      type: TimelineEventType.CREATED,
-      message: parentRecord
-        ? `Subtodo created under "${ parentRecord.title }"`
-        : "Todo created",
-      actorUserId: userId,
-    } );
-
-    if ( parentRecord )
+    if ( typeof priority !== "undefined" )
     {
-      await createTimelineEvent( {
-        todoId: parentRecord.id,
-        type: TimelineEventType.SUBTODO_ADDED,
-        message: `Subtodo "${ data.title }" added`,
-        actorUserId: userId,
-      } );
+      data.priority = priority;
     }
 
-    const { map } = await fetchTodoTreeForUser( userId );
-    const todo = map.get( created.id ) ?? normalizeTodo( {
-      ...created,
-      timelineEvents: [],
-    } );
+    if ( recurrenceRule )
+    {
+      data.recurrenceRule = recurrenceRule;
+      data.recurrenceStart = startDate ?? endDate;
+    }
 
-    if ( todo )
+    if ( tags.length > 0 )
     {
-      broadcastChange( userId, {
-        type: "create",
-        todos: [ todo ],
-      } );
+      data.tags = { connect: tags.map( ( tag ) => ( { id: tag.id } ) ) };
     }
 
-    res.status( 201 ).json( {
-      success: true,
-      data: todo,
-      message: "Todo created successfully",
-    } );
-  } catch ( error )
-  {
-    next( error );
-  }
-};
+    if ( assignee )
+    {
+      data.assigneeId = assignee.id;
+    }
 
-export const updateTodo = async ( req, res, next ) =>
-{
-  try
-  {
-    const userId = req.user.id;
-    const id = parseTodoId( req.params.id );
+    // Only store an image if a file was actually provided
+    let image = null;
+    if ( req.file && req.file.buffer && req.file.buffer.length > 0 )
+    {
+      image = await storeUploadedFile( req.file );
+      data.attachments = { create: [ { ...image, uploaderId: userId } ] };
+    }
 
-    const existing = await prisma.todo.findFirst( {
-      where: { id, userId },
-    } );
+    data.position = await nextSiblingPosition( prisma, workspaceId, parentIdentifier );
 
-    if ( !existing )
+    // The todo, its timeline events and the rollup of its ancestors are
+    // written together so that a failure leaves no half-updated parents.
+    let created;
+    let rolledUpIds;
+    try
     {
-      res.status( 404 ).json( { success: false, data: null, message: "Todo not found" } );
-      return;
-    }
+      ( { created, rolledUpIds } = await prisma.$transaction( async ( tx ) =>
+      {
+        let todoRecord = await tx.todo.create( {
+          data,
+        } );
 
-    // Extract fields from req.body (FormData fields are parsed as strings)
+        if ( recurrenceRule )
+        {
+          todoRecord = await tx.todo.update( {
+            where: { id: todoRecord.id },
+            data: { recurrenceSeriesId: todoRecord.id },
+          } );
+        }
+
+        await createTimelineEvent( {
+          todoId: todoRecord.id,
+          type: TimelineEventType.CREATED,
+          message: parentRecord
+            ? `Subtodo created under "${ parentRecord.title }"`
+            : "Todo created",
+          actorUserId: userId,
+          client: tx,
+        } );
+
+        if ( image )
+        {
+          await createTimelineEvent( {
+            todoId: todoRecord.id,
+            type: TimelineEventType.IMAGE_UPDATED,
+            message: `Image "${ image.filename }" added`,
+            actorUserId: userId,
+            client: tx,
+          } );
+        }
+
+        const tagMessage = describeTagChange( [], tags );
+        if ( tagMessage )
+        {
+          await createTimelineEvent( {
+            todoId: todoRecord.id,
+            type: TimelineEventType.UPDATED,
+            message: tagMessage,
+            actorUserId: userId,
+            client: tx,
+          } );
+        }
+
+        if ( assignee )
+        {
+          await recordAssigneeChange( tx, { todoId: todoRecord.id, previous: null, next: assignee, userId } );
+        }
+
+        if ( !parentRecord )
+        {
+          return { created: todoRecord, rolledUpIds: [] };
+        }
+
+        await createTimelineEvent( {
+          todoId: parentRecord.id,
+          type: TimelineEventType.SUBTODO_ADDED,
+          message: `Subtodo "${ data.title }" added`,
+          actorUserId: userId,
+          client: tx,
+        } );
+
+        return {
+          created: todoRecord,
+          rolledUpIds: [
+            ...await rollupDerivedStatuses( tx, { todoId: parentRecord.id, userId } ),
+            ...await rollupDerivedTimelines( tx, { todoId: parentRecord.id, userId } ),
+          ],
+        };
+      } ) );
+    } catch ( error )
+    {
+      if ( image )
+      {
+        await deleteUnusedFiles( [ image ] );
+      }
+      throw error;
+    }
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todo = map.get( created.id ) ?? normalizeTodo( {
+      ...created,
+      timelineEvents: [],
+    } );
+
+    if ( todo )
+    {
+      broadcastChange( workspaceId, {
+        type: "create",
+        todos: [ todo, ...pickTodos( map, rolledUpIds ) ],
+      } );
+      notifyAssigneeChange( null, todo );
+    }
+
+    res.status( 201 ).json( {
+      success: true,
+      data: todo,
+      message: "Todo created successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const updateTodo = async ( req, res, next ) =>
+{
+  // A new image is stored before the todo is validated and updated; it is
+  // removed again if the update does not go through.
+  let storedImage = null;
+
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+
+    const existing = await findAccessibleTodo( prisma, {
+      id,
+      userId,
+      minRole: "EDITOR",
+      include: {
+        tags: { orderBy: { name: "asc" } },
+        attachments: { orderBy: [ { createdAt: "asc" }, { id: "asc" } ] },
+        assignee: { select: { id: true, name: true, email: true } },
+      },
+    } );
+
+    // Extract fields from req.body (FormData fields are parsed as strings)
     const title = req.body?.title;
     const description = req.body?.description;
     const startDate = req.body?.startDate;
     const endDate = req.body?.endDate;
     const imageUrl = req.body?.imageUrl;
+    const statusMode = parseStatusMode( req.body?.statusMode );
+    const priority = parsePriority( req.body?.priority );
+    const recurrenceRule = parseRecurrenceRuleInput( req.body?.recurrenceRule );
+    const tagIds = parseTagIds( req.body?.tagIds );
+    const assigneeId = parseAssigneeId( req.body?.assigneeId );
     const updates = {};
     const changedFields = [];
 
-    const isSubtodo = Boolean( existing.parentId );
     let timelineChanged = false;
 
-    // Handle image upload/update/removal
+    // Handle image upload/update/removal. The todo's image is its oldest image
+    // attachment; uploading a new one replaces it.
+    const existingImage = findTodoImage( existing.attachments );
+    let imageMessage = null;
+
     if ( req.file && req.file.buffer && req.file.buffer.length > 0 )
     {
-      // New image uploaded - delete old image if it exists
-      if ( existing.imageUrl )
-      {
-        await deleteFromSupabase( existing.imageUrl );
-      }
-
-      // Upload new image
-      const originalName = req.file.originalname || "image";
-      const uniqueFilename = `${ Date.now() }-${ originalName }`;
-      const sanitizedFilename = uniqueFilename.replace( /[^a-zA-Z0-9._-]/g, "_" );
-
-      const { url } = await uploadToSupabase(
-        req.file.buffer,
-        sanitizedFilename,
-        req.file.mimetype || "image/jpeg"
-      );
-
-      updates.imageUrl = url;
-      changedFields.push( "image" );
+      const image = await storeUploadedFile( req.file );
+      storedImage = image;
+
+      updates.attachments = {
+        create: [ { ...image, uploaderId: userId } ],
+        ...( existingImage ? { delete: [ { id: existingImage.id } ] } : {} ),
+      };
+      imageMessage = existingImage
+        ? `Image "${ existingImage.filename }" replaced with "${ image.filename }"`
+        : `Image "${ image.filename }" added`;
     }
     else if ( typeof imageUrl !== "undefined" )
     {
@@ -440,11 +1033,10 @@ export const updateTodo = async ( req, res, next ) =>
         imageUrl === "null" ||
         String( imageUrl ).trim() === "";
 
-      if ( shouldRemove && existing.imageUrl )
+      if ( shouldRemove && existingImage )
       {
-        await deleteFromSupabase( existing.imageUrl );
-        updates.imageUrl = null;
-        changedFields.push( "image" );
+        updates.attachments = { delete: [ { id: existingImage.id } ] };
+        imageMessage = `Image "${ existingImage.filename }" removed`;
       }
     }
 
@@ -481,66 +1073,112 @@ export const updateTodo = async ( req, res, next ) =>
       }
     }
 
-    if ( isSubtodo )
+    if ( typeof statusMode !== "undefined" && statusMode !== existing.statusMode )
+    {
+      updates.statusMode = statusMode;
+      changedFields.push( "status mode" );
+    }
+
+    if ( typeof priority !== "undefined" && priority !== existing.priority )
     {
-      if ( typeof startDate !== "undefined" && existing.startDate !== null )
+      updates.priority = priority;
+    }
+
+    if ( typeof startDate !== "undefined" )
+    {
+      const parsed = parseNullableDate( startDate, "startDate" );
+      const changed =
+        ( parsed && !existing.startDate ) ||
+        ( !parsed && existing.startDate ) ||
+        ( parsed &&
+          existing.startDate &&
+          parsed.getTime() !== existing.startDate.getTime() );
+      if ( changed )
       {
-        updates.startDate = null;
+        updates.startDate = parsed;
         timelineChanged = true;
       }
+    }
 
-      if ( typeof endDate !== "undefined" && existing.endDate !== null )
+    if ( typeof endDate !== "undefined" )
+    {
+      const parsed = parseNullableDate( endDate, "endDate" );
+      const changed =
+        ( parsed && !existing.endDate ) ||
+        ( !parsed && existing.endDate ) ||
+        ( parsed &&
+          existing.endDate &&
+          parsed.getTime() !== existing.endDate.getTime() );
+      if ( changed )
       {
-        updates.endDate = null;
+        updates.endDate = parsed;
         timelineChanged = true;
       }
     }
-    else
+
+    if ( timelineChanged )
     {
-      if ( typeof startDate !== "undefined" )
+      if ( await hasDatedSubtodos( prisma, id ) )
       {
-        const parsed = parseNullableDate( startDate, "startDate" );
-        const changed =
-          ( parsed && !existing.startDate ) ||
-          ( !parsed && existing.startDate ) ||
-          ( parsed &&
-            existing.startDate &&
-            parsed.getTime() !== existing.startDate.getTime() );
-        if ( changed )
-        {
-          updates.startDate = parsed;
-          timelineChanged = true;
-        }
+        const error = new Error(
+          "startDate and endDate are derived from subtodos and cannot be edited directly"
+        );
+        error.statusCode = 400;
+        throw error;
       }
 
-      if ( typeof endDate !== "undefined" )
+      const nextStart = Object.prototype.hasOwnProperty.call( updates, "startDate" )
+        ? updates.startDate
+        : existing.startDate;
+      const nextEnd = Object.prototype.hasOwnProperty.call( updates, "endDate" )
+        ? updates.endDate
+        : existing.endDate;
+      assertValidTimeline( nextStart, nextEnd );
+    }
+
+    const nextRecurrenceRule = typeof recurrenceRule === "undefined" ? existing.recurrenceRule : recurrenceRule;
+    const occurrenceDate = getOccurrenceDate( {
+      startDate: Object.prototype.hasOwnProperty.call( updates, "startDate" ) ? updates.startDate : existing.startDate,
+      endDate: Object.prototype.hasOwnProperty.call( updates, "endDate" ) ? updates.endDate : existing.endDate,
+    } );
+
+    if ( nextRecurrenceRule && !occurrenceDate )
+    {
+      const error = new Error( "A recurring todo needs a startDate or endDate" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if ( nextRecurrenceRule !== existing.recurrenceRule )
+    {
+      if ( nextRecurrenceRule )
       {
-        const parsed = parseNullableDate( endDate, "endDate" );
-        const changed =
-          ( parsed && !existing.endDate ) ||
-          ( !parsed && existing.endDate ) ||
-          ( parsed &&
-            existing.endDate &&
-            parsed.getTime() !== existing.endDate.getTime() );
-        if ( changed )
-        {
-          updates.endDate = parsed;
-          timelineChanged = true;
-        }
+        updates.recurrenceStart = occurrenceDate;
+        updates.recurrenceSeriesId = existing.recurrenceSeriesId ?? id;
       }
 
-      if ( timelineChanged )
+      updates.recurrenceRule = nextRecurrenceRule;
+      changedFields.push( "recurrence" );
+    }
+
+    let tagMessage = null;
+    if ( typeof tagIds !== "undefined" )
+    {
+      const tags = await findWorkspaceTags( prisma, existing.workspaceId, tagIds );
+      tagMessage = describeTagChange( existing.tags, tags );
+      if ( tagMessage )
       {
-        const nextStart = Object.prototype.hasOwnProperty.call( updates, "startDate" )
-          ? updates.startDate
-          : existing.startDate;
-        const nextEnd = Object.prototype.hasOwnProperty.call( updates, "endDate" )
-          ? updates.endDate
-          : existing.endDate;
-        assertValidTimeline( nextStart, nextEnd );
+        updates.tags = { set: tags.map( ( tag ) => ( { id: tag.id } ) ) };
       }
     }
 
+    let nextAssignee = existing.assignee;
+    if ( typeof assigneeId !== "undefined" && assigneeId !== existing.assigneeId )
+    {
+      nextAssignee = await findAssignee( prisma, assigneeId );
+      updates.assigneeId = assigneeId;
+    }
+
     if ( Object.keys( updates ).length === 0 )
     {
       res.status( 400 ).json( {
@@ -551,50 +1189,106 @@ export const updateTodo = async ( req, res, next ) =>
       return;
     }
 
-    await prisma.todo.update( {
-      where: { id },
-      data: updates,
-    } );
-
-    if ( changedFields.length > 0 )
+    // The update, its timeline events and the rollup of its ancestors are
+    // written together so that a failure leaves no half-updated parents.
+    const rolledUpIds = await prisma.$transaction( async ( tx ) =>
     {
-      const message = changedFields.includes( "image" )
-        ? changedFields.filter( ( f ) => f !== "image" ).length > 0
-          ? `Updated ${ changedFields.filter( ( f ) => f !== "image" ).join( ", " ) } and image`
-          : "Image updated"
-        : `Updated ${ changedFields.join( ", " ) }`;
-
-      await createTimelineEvent( {
-        todoId: id,
-        type: TimelineEventType.UPDATED,
-        message,
-        actorUserId: userId,
+      await tx.todo.update( {
+        where: { id },
+        data: updates,
       } );
-    }
 
-    if ( timelineChanged )
-    {
-      const nextStart = Object.prototype.hasOwnProperty.call( updates, "startDate" )
-        ? updates.startDate
-        : existing.startDate;
-      const nextEnd = Object.prototype.hasOwnProperty.call( updates, "endDate" )
-        ? updates.endDate
-        : existing.endDate;
-      const message =
-        nextStart && nextEnd
-          ? `Timeline updated to ${ nextStart.toISOString() } → ${ nextEnd.toISOString() }`
-          : nextStart
-            ? `Timeline updated. Start: ${ nextStart.toISOString() }, no end date`
-            : nextEnd
-              ? `Timeline updated. End: ${ nextEnd.toISOString() }, no start date`
-              : "Timeline cleared";
+      if ( imageMessage )
+      {
+        await createTimelineEvent( {
+          todoId: id,
+          type: TimelineEventType.IMAGE_UPDATED,
+          message: imageMessage,
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
 
-      await createTimelineEvent( {
-        todoId: id,
-        type: TimelineEventType.TIMELINE_UPDATED,
-        message,
-        actorUserId: userId,
-      } );
+      if ( tagMessage )
+      {
+        await createTimelineEvent( {
+          todoId: id,
+          type: TimelineEventType.UPDATED,
+          message: tagMessage,
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
+
+      if ( updates.priority )
+      {
+        await recordPriorityChange( tx, {
+          todoId: id,
+          from: existing.priority,
+          to: updates.priority,
+          userId,
+        } );
+      }
+
+      if ( nextAssignee !== existing.assignee )
+      {
+        await recordAssigneeChange( tx, {
+          todoId: id,
+          previous: existing.assignee,
+          next: nextAssignee,
+          userId,
+        } );
+      }
+
+      if ( changedFields.length > 0 )
+      {
+        await createTimelineEvent( {
+          todoId: id,
+          type: TimelineEventType.UPDATED,
+          message: `Updated ${ changedFields.join( ", " ) }`,
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
+
+      if ( timelineChanged )
+      {
+        const nextStart = Object.prototype.hasOwnProperty.call( updates, "startDate" )
+          ? updates.startDate
+          : existing.startDate;
+        const nextEnd = Object.prototype.hasOwnProperty.call( updates, "endDate" )
+          ? updates.endDate
+          : existing.endDate;
+
+        await createTimelineEvent( {
+          todoId: id,
+          type: TimelineEventType.TIMELINE_UPDATED,
+          message: describeTimelineChange( nextStart, nextEnd ),
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
+
+      // Switching back to a derived status immediately re-syncs with the subtodos.
+      return [
+        ...( updates.statusMode === "DERIVED"
+          ? await rollupDerivedStatuses( tx, { todoId: id, userId } )
+          : [] ),
+        ...( timelineChanged
+          ? await rollupDerivedTimelines( tx, {
+            todoId: existing.parentId,
+            userId,
+            removedDatedSubtodo: Boolean( existing.startDate || existing.endDate ),
+          } )
+          : [] ),
+      ];
+    } );
+    storedImage = null;
+
+    // The replaced or removed image file goes only once the update is committed.
+    if ( updates.attachments?.delete )
+    {
+      await deleteUnusedFiles( [ existingImage ] );
     }
 
     const { map } = await fetchTodoTreeForUser( userId );
@@ -602,10 +1296,15 @@ export const updateTodo = async ( req, res, next ) =>
 
     if ( todo )
     {
-      broadcastChange( userId, {
+      broadcastChange( existing.workspaceId, {
         type: "update",
-        todos: [ todo ],
+        todos: pickTodos( map, [ id, ...rolledUpIds ] ),
       } );
+
+      if ( nextAssignee !== existing.assignee )
+      {
+        notifyAssigneeChange( existing.assigneeId, todo );
+      }
     }
 
     res.status( 200 ).json( {
@@ -615,6 +1314,11 @@ export const updateTodo = async ( req, res, next ) =>
     } );
   } catch ( error )
   {
+    if ( storedImage )
+    {
+      await deleteUnusedFiles( [ storedImage ] );
+    }
+
     if ( error?.code === "P2025" )
     {
       res.status( 404 ).json( { success: false, data: null, message: "Todo not found" } );
@@ -631,23 +1335,23 @@ export const updateTodoStatus = async ( req, res, next ) =>
     const userId = req.user.id;
     const id = parseTodoId( req.params.id );
     const status = parseStatus( req.body?.status, true );
+    const force = parseBooleanOption( req.body?.force, "force", false );
 
-    const existing = await prisma.todo.findFirst( {
-      where: { id, userId },
+    const existing = await findAccessibleTodo( prisma, {
+      id,
+      userId,
+      minRole: "EDITOR",
+      allowAssignee: true,
       select: {
         id: true,
         status: true,
+        statusMode: true,
         parentId: true,
         title: true,
+        recurrenceRule: true,
       },
     } );
 
-    if ( !existing )
-    {
-      res.status( 404 ).json( { success: false, data: null, message: "Todo not found" } );
-      return;
-    }
-
     if ( existing.status === status )
     {
       const { map } = await fetchTodoTreeForUser( userId );
@@ -659,42 +1363,26 @@ export const updateTodoStatus = async ( req, res, next ) =>
       return;
     }
 
-    await prisma.$transaction( async ( tx ) =>
-    {
-      await tx.todo.update( {
-        where: { id },
-        data: { status },
-      } );
-
-      await createTimelineEvent( {
-        todoId: id,
-        type: TimelineEventType.STATUS_CHANGED,
-        message: `Status changed from ${ existing.status } to ${ status }`,
-        actorUserId: userId,
-        client: tx,
-      } );
-
-      if ( status === "DONE" )
-      {
-        const descendantIds = await collectDescendantIds( tx, id, userId );
-        if ( descendantIds.length > 0 )
-        {
-          await tx.todo.updateMany( {
-            where: { id: { in: descendantIds } },
-            data: { status },
-          } );
-        }
-      }
-    } );
+    const { rolledUpIds, spawnedIds, unblockedIds } = await prisma.$transaction(
+      ( tx ) => applyStatusChange( tx, existing, status, userId, { force } )
+    );
 
     const { map } = await fetchTodoTreeForUser( userId );
     const todo = map.get( id );
 
     if ( todo )
     {
-      broadcastChange( userId, {
+      broadcastChange( existing.workspaceId, {
         type: "status_single",
-        todos: [ todo ],
+        todos: [ todo, ...await pickOrFetchTodos( map, [ ...rolledUpIds, ...unblockedIds ] ) ],
+      } );
+    }
+
+    if ( spawnedIds.length > 0 )
+    {
+      broadcastChange( existing.workspaceId, {
+        type: "create",
+        todos: await pickOrFetchTodos( map, spawnedIds ),
       } );
     }
 
@@ -732,6 +1420,7 @@ export const updateTodoStatusesBatch = async ( req, res, next ) =>
     }
 
     const normalizedUpdates = new Map();
+    const forceAll = parseBooleanOption( req.body?.force, "force", false );
 
     for ( const entry of updatesInput )
     {
@@ -743,7 +1432,8 @@ export const updateTodoStatusesBatch = async ( req, res, next ) =>
       }
       const todoId = parseTodoId( entry.id );
       const status = parseStatus( entry.status, true );
-      normalizedUpdates.set( todoId, status );
+      const force = parseBooleanOption( entry.force, "force", forceAll );
+      normalizedUpdates.set( todoId, { status, force } );
     }
 
     if ( normalizedUpdates.size === 0 )
@@ -757,59 +1447,45 @@ export const updateTodoStatusesBatch = async ( req, res, next ) =>
     }
 
     const processedIds = [];
+    const affectedIds = new Set();
+    const spawnedOccurrenceIds = [];
 
     await prisma.$transaction( async ( tx ) =>
     {
-      for ( const [ todoId, status ] of normalizedUpdates.entries() )
+      for ( const [ todoId, { status, force } ] of normalizedUpdates.entries() )
       {
-        const existing = await tx.todo.findFirst( {
-          where: { id: todoId, userId },
+        const existing = await findAccessibleTodo( tx, {
+          id: todoId,
+          userId,
+          minRole: "EDITOR",
+          allowAssignee: true,
           select: {
             id: true,
             status: true,
+            statusMode: true,
             parentId: true,
             title: true,
+            recurrenceRule: true,
           },
+          notFoundMessage: `Todo ${ todoId } not found`,
         } );
 
-        if ( !existing )
-        {
-          const error = new Error( `Todo ${ todoId } not found` );
-          error.statusCode = 404;
-          throw error;
-        }
-
         if ( existing.status === status )
         {
           continue;
         }
 
-        await tx.todo.update( {
-          where: { id: todoId },
-          data: { status },
-        } );
-
-        await createTimelineEvent( {
-          todoId,
-          type: TimelineEventType.STATUS_CHANGED,
-          message: `Status changed from ${ existing.status } to ${ status }`,
-          actorUserId: userId,
-          client: tx,
-        } );
-
-        if ( status === "DONE" )
-        {
-          const descendantIds = await collectDescendantIds( tx, todoId, userId );
-          if ( descendantIds.length > 0 )
-          {
-            await tx.todo.updateMany( {
-              where: { id: { in: descendantIds } },
-              data: { status },
-            } );
-          }
-        }
+        const { rolledUpIds, spawnedIds, unblockedIds } = await applyStatusChange(
+          tx,
+          existing,
+          status,
+          userId,
+          { force }
+        );
 
         processedIds.push( todoId );
+        [ ...rolledUpIds, ...unblockedIds ].forEach( ( affectedId ) => affectedIds.add( affectedId ) );
+        spawnedOccurrenceIds.push( ...spawnedIds );
       }
     } );
 
@@ -824,18 +1500,18 @@ export const updateTodoStatusesBatch = async ( req, res, next ) =>
     }
 
     const { map } = await fetchTodoTreeForUser( userId );
-    const todos = processedIds
-      .map( ( id ) => map.get( id ) )
-      .filter( Boolean );
+    const todos = await pickOrFetchTodos( map, [ ...processedIds, ...affectedIds ] );
 
-    broadcastChange( userId, {
-      type: "status_batch",
-      todos,
-    } );
+    broadcastTodos( "status_batch", todos );
+
+    if ( spawnedOccurrenceIds.length > 0 )
+    {
+      broadcastTodos( "create", await pickOrFetchTodos( map, spawnedOccurrenceIds ) );
+    }
 
     res.status( 200 ).json( {
       success: true,
-      data: todos,
+      data: todos.filter( ( todo ) => map.has( todo.id ) ),
       message: "Todo statuses updated successfully",
     } );
   } catch ( error )
@@ -849,43 +1525,1025 @@ export const updateTodoStatusesBatch = async ( req, res, next ) =>
   }
 };
 
-export const deleteTodo = async ( req, res, next ) =>
+export const updateTodoPrioritiesBatch = async ( req, res, next ) =>
 {
   try
   {
     const userId = req.user.id;
-    const id = parseTodoId( req.params.id );
-
-    const existing = await prisma.todo.findFirst( {
-      where: { id, userId },
-      select: { id: true, parentId: true, title: true, imageUrl: true },
-    } );
+    const updatesInput = Array.isArray( req.body?.updates ) ? req.body.updates : null;
 
-    if ( !existing )
+    if ( !updatesInput || updatesInput.length === 0 )
     {
-      res.status( 404 ).json( { success: false, data: null, message: "Todo not found" } );
+      res.status( 400 ).json( {
+        success: false,
+        data: null,
+        message: "updates array is required",
+      } );
+      return;
+    }
+
+    const normalizedUpdates = new Map();
+
+    for ( const entry of updatesInput )
+    {
+      if ( !entry || typeof entry !== "object" )
+      {
+        const error = new Error( "Each update must be an object with id and priority" );
+        error.statusCode = 400;
+        throw error;
+      }
+      normalizedUpdates.set( parseTodoId( entry.id ), parsePriority( entry.priority, true ) );
+    }
+
+    const processedIds = await prisma.$transaction( async ( tx ) =>
+    {
+      const changedIds = [];
+
+      for ( const [ todoId, priority ] of normalizedUpdates.entries() )
+      {
+        const existing = await findAccessibleTodo( tx, {
+          id: todoId,
+          userId,
+          minRole: "EDITOR",
+          select: { id: true, priority: true },
+          notFoundMessage: `Todo ${ todoId } not found`,
+        } );
+
+        if ( existing.priority === priority )
+        {
+          continue;
+        }
+
+        await tx.todo.update( {
+          where: { id: todoId },
+          data: { priority },
+        } );
+        await recordPriorityChange( tx, { todoId, from: existing.priority, to: priority, userId } );
+        changedIds.push( todoId );
+      }
+
+      return changedIds;
+    } );
+
+    if ( processedIds.length === 0 )
+    {
+      res.status( 200 ).json( {
+        success: true,
+        data: [],
+        message: "No priority changes applied",
+      } );
+      return;
+    }
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todos = pickTodos( map, processedIds );
+
+    broadcastTodos( "update", todos );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: todos,
+      message: "Todo priorities updated successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+/**
+ * Move a todo (with its subtree) to another workspace: the subtree drops its
+ * tags, which belong to the old workspace, and links to trashed todos outside
+ * it. Dependencies on live todos outside the subtree must be removed first.
+ * @returns {Promise<number[]>} ids of the moved todos
+ */
+const moveSubtreeToWorkspace = async ( tx, id, workspaceId ) =>
+{
+  const subtreeIds = [ id, ...await collectDescendantIds( tx, id ) ];
+  const outside = { id: { notIn: subtreeIds } };
+
+  const externalDependencies = await tx.todoDependency.count( {
+    where: {
+      OR: [
+        { blockerId: { in: subtreeIds }, blocked: { ...outside, deletedAt: null } },
+        { blockedId: { in: subtreeIds }, blocker: { ...outside, deletedAt: null } },
+      ],
+    },
+  } );
+
+  if ( externalDependencies > 0 )
+  {
+    const error = new Error(
+      "Remove the dependencies between this todo's subtree and other todos before moving it to another workspace"
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await tx.todoDependency.deleteMany( {
+    where: {
+      OR: [
+        { blockerId: { in: subtreeIds }, blocked: outside },
+        { blockedId: { in: subtreeIds }, blocker: outside },
+      ],
+    },
+  } );
+
+  const tagged = await tx.todo.findMany( {
+    where: { id: { in: subtreeIds }, tags: { some: {} } },
+    select: { id: true },
+  } );
+  for ( const todo of tagged )
+  {
+    await tx.todo.update( { where: { id: todo.id }, data: { tags: { set: [] } } } );
+  }
+
+  await tx.todo.updateMany( {
+    where: { id: { in: subtreeIds } },
+    data: { workspaceId },
+  } );
+
+  return subtreeIds;
+};
+
+export const moveTodo = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+    const rawParentId = req.body?.parentId;
+    const rawWorkspaceId = req.body?.workspaceId;
+
+    if ( typeof rawParentId === "undefined" )
+    {
+      const error = new Error( "parentId is required (use null to move the todo to the root)" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const nextParentId = rawParentId === null || rawParentId === "" || rawParentId === "null"
+      ? null
+      : parseTodoId( rawParentId );
+
+    if ( nextParentId === id )
+    {
+      const error = new Error( "A todo cannot be moved under itself" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const existing = await findAccessibleTodo( prisma, {
+      id,
+      userId,
+      minRole: "EDITOR",
+      select: { id: true, parentId: true, title: true, startDate: true, endDate: true },
+    } );
+
+    const nextParent = nextParentId
+      ? await findAccessibleTodo( prisma, {
+        id: nextParentId,
+        userId,
+        minRole: "EDITOR",
+        select: { id: true, title: true },
+        notFoundMessage: "Parent todo not found",
+      } )
+      : null;
+
+    // The target workspace follows the new parent; root-level moves may name one.
+    const requestedWorkspace = rawWorkspaceId
+      ? await findAccessibleWorkspace( prisma, {
+        id: parseWorkspaceId( rawWorkspaceId ),
+        userId,
+        minRole: "EDITOR",
+      } )
+      : null;
+
+    if ( nextParent && requestedWorkspace && requestedWorkspace.id !== nextParent.workspaceId )
+    {
+      const error = new Error( "workspaceId must match the workspace of the new parent" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const workspaceId = nextParent?.workspaceId ?? requestedWorkspace?.id ?? existing.workspaceId;
+    const changesWorkspace = workspaceId !== existing.workspaceId;
+
+    if ( existing.parentId === nextParentId && !changesWorkspace )
+    {
+      const { map } = await fetchTodoTreeForUser( userId );
+      res.status( 200 ).json( {
+        success: true,
+        data: map.get( id ),
+        message: "Todo moved successfully",
+      } );
+      return;
+    }
+
+    // Serializable, so that of two concurrent moves that would together form a
+    // cycle (A under B, B under A) only one passes the ancestor check.
+    const { rolledUpIds, movedIds } = await prisma.$transaction( async ( tx ) =>
+    {
+      const previousParent = existing.parentId
+        ? await tx.todo.findFirst( {
+          where: { id: existing.parentId, deletedAt: null },
+          select: { id: true, title: true },
+        } )
+        : null;
+
+      if ( nextParentId )
+      {
+        const ancestorIds = await collectAncestorIds( tx, nextParentId );
+        if ( ancestorIds.includes( id ) )
+        {
+          const error = new Error( "A todo cannot be moved under one of its own subtodos" );
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+
+      const moved = changesWorkspace ? await moveSubtreeToWorkspace( tx, id, workspaceId ) : [];
+      const target = changesWorkspace
+        ? await tx.workspace.findUnique( { where: { id: workspaceId }, select: { name: true } } )
+        : null;
+
+      await tx.todo.update( {
+        where: { id },
+        data: {
+          parentId: nextParentId,
+          position: await nextSiblingPosition( tx, workspaceId, nextParentId ),
+        },
+      } );
+
+      await createTimelineEvent( {
+        todoId: id,
+        type: TimelineEventType.UPDATED,
+        message: `${ nextParent
+          ? `Moved under "${ nextParent.title }"`
+          : "Moved to the root level" }${ target ? ` of workspace "${ target.name }"` : "" }`,
+        actorUserId: userId,
+        client: tx,
+      } );
+
+      if ( previousParent )
+      {
+        await createTimelineEvent( {
+          todoId: previousParent.id,
+          type: TimelineEventType.UPDATED,
+          message: nextParent
+            ? `Subtodo "${ existing.title }" moved to "${ nextParent.title }"`
+            : `Subtodo "${ existing.title }" moved to the root level`,
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
+
+      if ( nextParent )
+      {
+        await createTimelineEvent( {
+          todoId: nextParent.id,
+          type: TimelineEventType.SUBTODO_ADDED,
+          message: previousParent
+            ? `Subtodo "${ existing.title }" moved here from "${ previousParent.title }"`
+            : `Subtodo "${ existing.title }" moved here from the root level`,
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
+
+      return {
+        movedIds: moved,
+        rolledUpIds: [
+          ...await rollupDerivedStatuses( tx, { todoId: previousParent?.id, userId } ),
+          ...await rollupDerivedStatuses( tx, { todoId: nextParent?.id, userId } ),
+          ...await rollupDerivedTimelines( tx, {
+            todoId: previousParent?.id,
+            userId,
+            removedDatedSubtodo: Boolean( existing.startDate || existing.endDate ),
+          } ),
+          ...await rollupDerivedTimelines( tx, { todoId: nextParent?.id, userId } ),
+        ],
+      };
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable } ).catch( ( error ) =>
+    {
+      if ( error?.code === "P2034" )
+      {
+        const conflict = new Error( "The todo tree changed during the move. Please try again" );
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    } );
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todo = map.get( id );
+    const affectedParents = pickTodos( map, [ existing.parentId, nextParentId, ...rolledUpIds ] );
+
+    if ( todo && changesWorkspace )
+    {
+      broadcastChange( existing.workspaceId, {
+        type: "delete",
+        removedIds: movedIds,
+        todos: affectedParents.filter( ( parent ) => parent.workspaceId === existing.workspaceId ),
+      } );
+      broadcastChange( workspaceId, {
+        type: "create",
+        todos: [ todo, ...affectedParents.filter( ( parent ) => parent.workspaceId === workspaceId ) ],
+      } );
+    } else if ( todo )
+    {
+      broadcastChange( workspaceId, {
+        type: "move",
+        fromParentId: existing.parentId,
+        toParentId: nextParentId,
+        todos: [ todo, ...affectedParents ],
+      } );
+    }
+
+    res.status( 200 ).json( {
+      success: true,
+      data: todo,
+      message: "Todo moved successfully",
+    } );
+  } catch ( error )
+  {
+    if ( error?.code === "P2025" )
+    {
+      res.status( 404 ).json( { success: false, data: null, message: "Todo not found" } );
+      return;
+    }
+    next( error );
+  }
+};
+
+export const reorderTodo = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+    const { beforeId, afterId } = req.body ?? {};
+    const hasBefore = typeof beforeId !== "undefined" && beforeId !== null && beforeId !== "";
+    const hasAfter = typeof afterId !== "undefined" && afterId !== null && afterId !== "";
+
+    if ( hasBefore === hasAfter )
+    {
+      const error = new Error( "Provide exactly one of beforeId or afterId" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const neighbourId = parseTodoId( hasBefore ? beforeId : afterId );
+
+    if ( neighbourId === id )
+    {
+      const error = new Error( "A todo cannot be placed relative to itself" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const existing = await findAccessibleTodo( prisma, {
+      id,
+      userId,
+      minRole: "EDITOR",
+      select: { id: true, parentId: true },
+    } );
+    const { workspaceId } = existing;
+
+    await prisma.$transaction( async ( tx ) =>
+    {
+      const findSlot = async () =>
+      {
+        const neighbour = await tx.todo.findFirst( {
+          where: { id: neighbourId, workspaceId, deletedAt: null },
+          select: { id: true, parentId: true, position: true },
+        } );
+
+        if ( !neighbour )
+        {
+          const error = new Error( "Neighbour todo not found" );
+          error.statusCode = 404;
+          throw error;
+        }
+
+        if ( neighbour.parentId !== existing.parentId )
+        {
+          const error = new Error( "Neighbour todo must share the same parent" );
+          error.statusCode = 400;
+          throw error;
+        }
+
+        // The sibling on the other side of the slot, ignoring the todo being moved.
+        const adjacent = await tx.todo.findFirst( {
+          where: {
+            workspaceId,
+            deletedAt: null,
+            parentId: existing.parentId,
+            id: { not: id },
+            position: hasBefore ? { lt: neighbour.position } : { gt: neighbour.position },
+          },
+          orderBy: { position: hasBefore ? "desc" : "asc" },
+          select: { position: true },
+        } );
+
+        if ( !adjacent )
+        {
+          return hasBefore
+            ? neighbour.position - POSITION_GAP
+            : neighbour.position + POSITION_GAP;
+        }
+
+        if ( Math.abs( adjacent.position - neighbour.position ) < MIN_POSITION_SPACING )
+        {
+          return null;
+        }
+
+        return ( adjacent.position + neighbour.position ) / 2;
+      };
+
+      let position = await findSlot();
+      if ( position === null )
+      {
+        await rebalanceSiblingPositions( tx, workspaceId, existing.parentId );
+        position = await findSlot();
+      }
+
+      await tx.todo.update( {
+        where: { id },
+        data: { position },
+      } );
+    } );
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todo = map.get( id );
+
+    if ( todo )
+    {
+      broadcastChange( workspaceId, {
+        type: "reorder",
+        todos: [ todo ],
+      } );
+    }
+
+    res.status( 200 ).json( {
+      success: true,
+      data: todo,
+      message: "Todo reordered successfully",
+    } );
+  } catch ( error )
+  {
+    if ( error?.code === "P2025" )
+    {
+      res.status( 404 ).json( { success: false, data: null, message: "Todo not found" } );
       return;
     }
+    next( error );
+  }
+};
+
+export const addDependency = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+    const blockerId = parseTodoId( req.body?.blockerId );
+
+    const blocked = await findAccessibleTodo( prisma, {
+      id,
+      userId,
+      minRole: "EDITOR",
+      select: { id: true, title: true },
+    } );
+    const blocker = await findAccessibleTodo( prisma, {
+      id: blockerId,
+      userId,
+      select: { id: true, title: true },
+      notFoundMessage: "Blocker todo not found",
+    } );
+
+    if ( blocker.workspaceId !== blocked.workspaceId )
+    {
+      const error = new Error( "A todo can only be blocked by todos of its own workspace" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await prisma.$transaction( async ( tx ) =>
+    {
+      if ( await wouldCreateDependencyCycle( tx, blockerId, id ) )
+      {
+        const error = new Error( blockerId === id
+          ? "A todo cannot block itself"
+          : `"${ blocked.title }" already blocks "${ blocker.title }" (directly or indirectly)` );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const duplicate = await tx.todoDependency.findUnique( {
+        where: { blockerId_blockedId: { blockerId, blockedId: id } },
+      } );
+
+      if ( duplicate )
+      {
+        const error = new Error( `"${ blocker.title }" already blocks "${ blocked.title }"` );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await tx.todoDependency.create( {
+        data: { blockerId, blockedId: id },
+      } );
+
+      await createTimelineEvent( {
+        todoId: id,
+        type: TimelineEventType.UPDATED,
+        message: `Blocked by "${ blocker.title }"`,
+        actorUserId: userId,
+        client: tx,
+      } );
+
+      await createTimelineEvent( {
+        todoId: blockerId,
+        type: TimelineEventType.UPDATED,
+        message: `Now blocks "${ blocked.title }"`,
+        actorUserId: userId,
+        client: tx,
+      } );
+    } );
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todo = map.get( id );
+
+    broadcastChange( blocked.workspaceId, {
+      type: "update",
+      todos: pickTodos( map, [ id, blockerId ] ),
+    } );
+
+    res.status( 201 ).json( {
+      success: true,
+      data: todo,
+      message: "Dependency added successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const removeDependency = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+    const blockerId = parseTodoId( req.params.blockerId );
+
+    const blocked = await findAccessibleTodo( prisma, {
+      id,
+      userId,
+      minRole: "EDITOR",
+      select: { id: true },
+    } );
+    const dependency = await prisma.todoDependency.findFirst( {
+      where: { blockerId, blockedId: id },
+      include: {
+        blocker: { select: { title: true } },
+        blocked: { select: { title: true } },
+      },
+    } );
+
+    if ( !dependency )
+    {
+      const error = new Error( "Dependency not found" );
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await prisma.$transaction( async ( tx ) =>
+    {
+      await tx.todoDependency.delete( { where: { id: dependency.id } } );
+
+      await createTimelineEvent( {
+        todoId: id,
+        type: TimelineEventType.UPDATED,
+        message: `No longer blocked by "${ dependency.blocker.title }"`,
+        actorUserId: userId,
+        client: tx,
+      } );
+
+      await createTimelineEvent( {
+        todoId: blockerId,
+        type: TimelineEventType.UPDATED,
+        message: `No longer blocks "${ dependency.blocked.title }"`,
+        actorUserId: userId,
+        client: tx,
+      } );
+    } );
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todo = map.get( id );
+
+    broadcastChange( blocked.workspaceId, {
+      type: "update",
+      todos: pickTodos( map, [ id, blockerId ] ),
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: todo,
+      message: "Dependency removed successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+const ATTACHMENT_DUPLICATION_MODES = [ "share", "copy", "none" ];
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+export const duplicateTodo = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+    const body = req.body ?? {};
+
+    const resetStatus = parseBooleanOption( body.resetStatus, "resetStatus", true );
+    // `images` is the former name of the `attachments` option.
+    const attachmentMode = String( body.attachments ?? body.images ?? "share" ).trim().toLowerCase();
+    if ( !ATTACHMENT_DUPLICATION_MODES.includes( attachmentMode ) )
+    {
+      const error = new Error( `attachments must be one of ${ ATTACHMENT_DUPLICATION_MODES.join( ", " ) }` );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const offsetDays = typeof body.dateOffsetDays === "undefined" || body.dateOffsetDays === ""
+      ? 0
+      : Number( body.dateOffsetDays );
+    if ( !Number.isFinite( offsetDays ) )
+    {
+      const error = new Error( "dateOffsetDays must be a number" );
+      error.statusCode = 400;
+      throw error;
+    }
+    const offsetMs = offsetDays * DAY_IN_MS;
+
+    if ( typeof body.title !== "undefined" && ( typeof body.title !== "string" || !body.title.trim() ) )
+    {
+      const error = new Error( "Title must be a non-empty string when provided" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await findAccessibleTodo( prisma, { id, userId, allowAssignee: true, select: { id: true } } );
+    const nodes = await fetchSubtreeNodes( prisma, id );
+    const [ source ] = nodes;
+
+    // Copies go under the original parent unless another parent (or null for
+    // the root, optionally of another workspace) is given.
+    let targetParent = null;
+    const rawParentId = typeof body.parentId === "undefined" ? source.parentId : body.parentId;
+    if ( rawParentId !== null && rawParentId !== "" && rawParentId !== "null" )
+    {
+      targetParent = await findAccessibleTodo( prisma, {
+        id: parseTodoId( rawParentId ),
+        userId,
+        minRole: "EDITOR",
+        select: { id: true, title: true },
+        notFoundMessage: "Parent todo not found",
+      } );
+    }
+
+    if ( targetParent && body.workspaceId && parseWorkspaceId( body.workspaceId ) !== targetParent.workspaceId )
+    {
+      const error = new Error( "workspaceId must match the workspace of the new parent" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const workspaceId = targetParent?.workspaceId ?? ( await findAccessibleWorkspace( prisma, {
+      id: body.workspaceId ? parseWorkspaceId( body.workspaceId ) : source.workspaceId,
+      userId,
+      minRole: "EDITOR",
+    } ) ).id;
+
+    // Copy files up front; storage operations cannot take part in the transaction,
+    // so copies are removed again if anything fails.
+    const copiedFiles = new Map();
+    let copied;
+    try
+    {
+      if ( attachmentMode === "copy" )
+      {
+        for ( const attachment of nodes.flatMap( ( todo ) => todo.attachments ) )
+        {
+          copiedFiles.set( attachment.id, await copyStoredFile( attachment ) );
+        }
+      }
+
+      copied = await prisma.$transaction( async ( tx ) =>
+      {
+        const copiedIds = await cloneTodoSubtree( tx, {
+          nodes,
+          userId,
+          workspaceId,
+          parentId: targetParent?.id ?? null,
+          offsetMs,
+          resetStatus,
+          storedFilesFor: ( attachment ) => ( attachmentMode === "share"
+            ? attachment
+            : copiedFiles.get( attachment.id ) ?? null ),
+          rootData: typeof body.title === "string" ? { title: body.title.trim() } : {},
+          createdMessage: ( node ) => `Duplicated from "${ node.title }"`,
+        } );
+
+        if ( targetParent )
+        {
+          await createTimelineEvent( {
+            todoId: targetParent.id,
+            type: TimelineEventType.SUBTODO_ADDED,
+            message: `Subtodo "${ source.title }" duplicated`,
+            actorUserId: userId,
+            client: tx,
+          } );
+        }
+
+        return {
+          copyId: copiedIds.get( source.id ),
+          rolledUpIds: [
+            ...await rollupDerivedStatuses( tx, { todoId: targetParent?.id, userId } ),
+            ...await rollupDerivedTimelines( tx, { todoId: targetParent?.id, userId } ),
+          ],
+        };
+      }, { timeout: 30_000 } );
+    } catch ( error )
+    {
+      await deleteUnusedFiles( [ ...copiedFiles.values() ] );
+      throw error;
+    }
+    const { copyId, rolledUpIds } = copied;
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todo = map.get( copyId );
+
+    if ( todo )
+    {
+      broadcastChange( workspaceId, {
+        type: "create",
+        todos: [ todo, ...pickTodos( map, [ targetParent?.id, ...rolledUpIds ] ) ],
+      } );
+    }
+
+    res.status( 201 ).json( {
+      success: true,
+      data: todo,
+      message: "Todo duplicated successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+const DEFAULT_OCCURRENCE_PREVIEW = 5;
+const MAX_OCCURRENCE_PREVIEW = 50;
+
+const findRecurringTodo = async ( id, userId, minRole = "VIEWER" ) =>
+{
+  const todo = await findAccessibleTodo( prisma, { id, userId, minRole, allowAssignee: minRole === "VIEWER" } );
+
+  if ( !todo.recurrenceRule )
+  {
+    const error = new Error( "Todo is not recurring" );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return todo;
+};
+
+export const previewRecurrence = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+    const rawCount = firstQueryValue( req.query?.count );
+    const count = typeof rawCount === "undefined" || rawCount === ""
+      ? DEFAULT_OCCURRENCE_PREVIEW
+      : Math.min( parsePositiveInteger( rawCount, "count" ), MAX_OCCURRENCE_PREVIEW );
+
+    const todo = await findRecurringTodo( id, userId );
+    const current = getOccurrenceDate( todo );
+    const duration = todo.startDate && todo.endDate
+      ? todo.endDate.getTime() - todo.startDate.getTime()
+      : 0;
+    const occurrences = listOccurrences(
+      parseRecurrenceRule( todo.recurrenceRule ),
+      todo.recurrenceStart ?? current,
+      { after: current, limit: count }
+    );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: {
+        id: todo.id,
+        recurrenceRule: todo.recurrenceRule,
+        recurrenceSeriesId: todo.recurrenceSeriesId,
+        upcoming: occurrences.map( ( date ) => ( {
+          startDate: todo.startDate ? date : null,
+          endDate: todo.endDate
+            ? new Date( date.getTime() + ( todo.startDate ? duration : 0 ) )
+            : null,
+        } ) ),
+      },
+      message: "Upcoming occurrences fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const skipOccurrence = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+    const todo = await findRecurringTodo( id, userId, "EDITOR" );
+    const current = getOccurrenceDate( todo );
+    const nextDate = nextOccurrenceOf( todo );
+
+    if ( !nextDate )
+    {
+      const error = new Error( "The series has no further occurrences to skip to" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // The todo (and its subtree) moves to the following occurrence.
+    const offsetMs = nextDate.getTime() - current.getTime();
+    const shift = ( date ) => ( date ? new Date( date.getTime() + offsetMs ) : null );
+
+    const rolledUpIds = await prisma.$transaction( async ( tx ) =>
+    {
+      const nodes = await fetchSubtreeNodes( tx, id );
+      for ( const node of nodes.filter( ( node ) => node.startDate || node.endDate ) )
+      {
+        await tx.todo.update( {
+          where: { id: node.id },
+          data: { startDate: shift( node.startDate ), endDate: shift( node.endDate ) },
+        } );
+      }
+
+      await createTimelineEvent( {
+        todoId: id,
+        type: TimelineEventType.TIMELINE_UPDATED,
+        message: `Occurrence on ${ current.toISOString() } skipped; rescheduled to ${ nextDate.toISOString() }`,
+        actorUserId: userId,
+        client: tx,
+      } );
+
+      return rollupDerivedTimelines( tx, { todoId: todo.parentId, userId } );
+    } );
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const updated = map.get( id );
+
+    if ( updated )
+    {
+      broadcastChange( todo.workspaceId, {
+        type: "update",
+        todos: [ updated, ...pickTodos( map, rolledUpIds ) ],
+      } );
+    }
+
+    res.status( 200 ).json( {
+      success: true,
+      data: updated,
+      message: "Occurrence skipped successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const stopRecurrence = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+    const { workspaceId } = await findRecurringTodo( id, userId, "EDITOR" );
+
+    await prisma.$transaction( async ( tx ) =>
+    {
+      await tx.todo.update( {
+        where: { id },
+        data: { recurrenceRule: null },
+      } );
+
+      await createTimelineEvent( {
+        todoId: id,
+        type: TimelineEventType.UPDATED,
+        message: "Recurrence stopped",
+        actorUserId: userId,
+        client: tx,
+      } );
+    } );
 
-    // Delete image from Supabase if it exists
-    if ( existing.imageUrl )
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todo = map.get( id );
+
+    if ( todo )
     {
-      await deleteFromSupabase( existing.imageUrl );
+      broadcastChange( workspaceId, {
+        type: "update",
+        todos: [ todo ],
+      } );
     }
 
-    await prisma.todo.delete( { where: { id } } );
+    res.status( 200 ).json( {
+      success: true,
+      data: todo,
+      message: "Recurrence stopped successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const deleteTodo = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+
+    const existing = await findAccessibleTodo( prisma, {
+      id,
+      userId,
+      minRole: "EDITOR",
+      select: { id: true, parentId: true, title: true, startDate: true, endDate: true },
+    } );
 
-    if ( existing.parentId )
+    // The todo and its live subtree move to the trash together; subtodos that
+    // were already trashed keep their own trash entry.
+    const rolledUpIds = await prisma.$transaction( async ( tx ) =>
     {
+      const descendantIds = await collectDescendantIds( tx, id );
+
+      await tx.todo.updateMany( {
+        where: { id: { in: [ id, ...descendantIds ] } },
+        data: { deletedAt: new Date(), deletionRootId: id },
+      } );
+
       await createTimelineEvent( {
-        todoId: existing.parentId,
+        todoId: id,
         type: TimelineEventType.UPDATED,
-        message: `Subtodo "${ existing.title }" deleted`,
+        message: "Moved to trash",
         actorUserId: userId,
+        client: tx,
+      } );
+
+      if ( existing.parentId )
+      {
+        await createTimelineEvent( {
+          todoId: existing.parentId,
+          type: TimelineEventType.UPDATED,
+          message: `Subtodo "${ existing.title }" deleted`,
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
+
+      return [
+        ...await rollupDerivedStatuses( tx, { todoId: existing.parentId, userId } ),
+        ...await rollupDerivedTimelines( tx, {
+          todoId: existing.parentId,
+          userId,
+          removedDatedSubtodo: Boolean( existing.startDate || existing.endDate ),
+        } ),
+      ];
+    } );
+
+    if ( rolledUpIds.length > 0 )
+    {
+      const { map } = await fetchTodoTreeForUser( userId );
+      broadcastChange( existing.workspaceId, {
+        type: "update",
+        todos: pickTodos( map, rolledUpIds ),
       } );
     }
 
-    broadcastChange( userId, {
+    broadcastChange( existing.workspaceId, {
       type: "delete",
       removedIds: [ id ],
     } );
@@ -893,7 +2551,7 @@ export const deleteTodo = async ( req, res, next ) =>
     res.status( 200 ).json( {
       success: true,
       data: null,
-      message: "Todo deleted successfully",
+      message: "Todo moved to trash successfully",
     } );
   } catch ( error )
   {
@@ -906,7 +2564,242 @@ export const deleteTodo = async ( req, res, next ) =>
   }
 };
 
-export const streamTodoEvents = ( req, res ) =>
+export const listTrash = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const workspaceId = await resolveWorkspaceFilter( req.query, userId, "EDITOR" );
+    const trashed = await prisma.todo.findMany( {
+      where: {
+        deletedAt: { not: null },
+        ...todoAccessWhere( userId, "EDITOR" ),
+        ...( workspaceId ? { workspaceId } : {} ),
+      },
+      orderBy: [ { position: "asc" }, { createdAt: "asc" } ],
+      include: TODO_INCLUDE,
+    } );
+
+    // Each deletion is its own trash entry, even when one was nested in another.
+    const batches = new Map();
+    trashed.forEach( ( todo ) =>
+    {
+      const batch = batches.get( todo.deletionRootId ) ?? [];
+      batch.push( todo );
+      batches.set( todo.deletionRootId, batch );
+    } );
+
+    const entries = [];
+    for ( const [ deletionRootId, todos ] of batches.entries() )
+    {
+      const { map } = buildTodoTree( todos );
+      const root = map.get( deletionRootId );
+      const { deletedAt } = todos.find( ( todo ) => todo.id === deletionRootId ) ?? {};
+
+      if ( root && deletedAt )
+      {
+        entries.push( { ...root, deletedAt, purgeAt: getPurgeDate( deletedAt ) } );
+      }
+    }
+
+    entries.sort( ( left, right ) => right.deletedAt - left.deletedAt );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: entries,
+      message: "Trash fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const restoreTodo = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+
+    const trashed = await findAccessibleTodo( prisma, {
+      id,
+      userId,
+      minRole: "EDITOR",
+      trashed: true,
+      select: { id: true, parentId: true, title: true, deletionRootId: true },
+      notFoundMessage: "Todo not found in trash",
+    } );
+
+    if ( trashed.deletionRootId !== id )
+    {
+      const error = new Error(
+        `This todo was deleted together with todo ${ trashed.deletionRootId }; restore that todo instead`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { parent, rolledUpIds } = await prisma.$transaction( async ( tx ) =>
+    {
+      // Restore under the original parent while it still exists, otherwise to the root.
+      const originalParent = trashed.parentId
+        ? await tx.todo.findFirst( {
+          where: { id: trashed.parentId, workspaceId: trashed.workspaceId, deletedAt: null },
+          select: { id: true, title: true },
+        } )
+        : null;
+      const position = await nextSiblingPosition( tx, trashed.workspaceId, originalParent?.id ?? null );
+
+      await tx.todo.updateMany( {
+        where: { deletionRootId: id },
+        data: { deletedAt: null, deletionRootId: null },
+      } );
+
+      await tx.todo.update( {
+        where: { id },
+        data: { parentId: originalParent?.id ?? null, position },
+      } );
+
+      await createTimelineEvent( {
+        todoId: id,
+        type: TimelineEventType.UPDATED,
+        message: trashed.parentId && !originalParent
+          ? "Restored from trash to the root level (original parent no longer exists)"
+          : "Restored from trash",
+        actorUserId: userId,
+        client: tx,
+      } );
+
+      if ( originalParent )
+      {
+        await createTimelineEvent( {
+          todoId: originalParent.id,
+          type: TimelineEventType.SUBTODO_ADDED,
+          message: `Subtodo "${ trashed.title }" restored`,
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
+
+      return {
+        parent: originalParent,
+        rolledUpIds: [
+          ...await rollupDerivedStatuses( tx, { todoId: originalParent?.id, userId } ),
+          ...await rollupDerivedTimelines( tx, { todoId: originalParent?.id, userId } ),
+        ],
+      };
+    } );
+
+    const { map } = await fetchTodoTreeForUser( userId );
+    const todo = map.get( id );
+
+    if ( todo )
+    {
+      broadcastChange( trashed.workspaceId, {
+        type: "restore",
+        todos: [ todo, ...pickTodos( map, [ parent?.id, ...rolledUpIds ] ) ],
+      } );
+    }
+
+    res.status( 200 ).json( {
+      success: true,
+      data: todo,
+      message: "Todo restored successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const purgeTrashedTodo = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const id = parseTodoId( req.params.id );
+
+    const trashed = await findAccessibleTodo( prisma, {
+      id,
+      userId,
+      minRole: "EDITOR",
+      trashed: true,
+      where: { deletionRootId: id },
+      select: { id: true },
+      notFoundMessage: "Todo not found in trash",
+    } );
+
+    const removedIds = await purgeTrashedTodos( [ id ] );
+
+    broadcastChange( trashed.workspaceId, {
+      type: "purge",
+      removedIds,
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Todo permanently deleted",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const emptyTrash = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const workspaceId = await resolveWorkspaceFilter( req.query, userId, "EDITOR" );
+    const roots = await prisma.todo.findMany( {
+      where: {
+        deletedAt: { not: null },
+        ...todoAccessWhere( userId, "EDITOR" ),
+        ...( workspaceId ? { workspaceId } : {} ),
+      },
+      select: { deletionRootId: true, workspaceId: true },
+      distinct: [ "deletionRootId" ],
+    } );
+
+    const rootIdsByWorkspace = new Map();
+    roots.filter( ( todo ) => todo.deletionRootId ).forEach( ( todo ) =>
+    {
+      rootIdsByWorkspace.set( todo.workspaceId, [
+        ...( rootIdsByWorkspace.get( todo.workspaceId ) ?? [] ),
+        todo.deletionRootId,
+      ] );
+    } );
+
+    let purgedCount = 0;
+    for ( const [ rootWorkspaceId, rootIds ] of rootIdsByWorkspace.entries() )
+    {
+      const removedIds = await purgeTrashedTodos( rootIds );
+      purgedCount += removedIds.length;
+
+      if ( removedIds.length > 0 )
+      {
+        broadcastChange( rootWorkspaceId, {
+          type: "purge",
+          removedIds,
+        } );
+      }
+    }
+
+    res.status( 200 ).json( {
+      success: true,
+      data: { purgedCount },
+      message: "Trash emptied successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const streamTodoEvents = async ( req, res ) =>
 {
   try
   {
@@ -919,15 +2812,7 @@ export const streamTodoEvents = ( req, res ) =>
       return;
     }
 
-    const payload = jwt.verify( token, ensureJwtSecret() );
-    const rawId = typeof payload.userId !== "undefined" ? payload.userId : payload.sub;
-    const userId = typeof rawId === "string" ? Number.parseInt( rawId, 10 ) : rawId;
-
-    if ( !userId || Number.isNaN( userId ) )
-    {
-      res.status( 401 ).json( { success: false, data: null, message: "Invalid authentication token" } );
-      return;
-    }
+    const { userId, sessionId } = await verifyAccessToken( prisma, token );
 
     res.setHeader( "Content-Type", "text/event-stream" );
     res.setHeader( "Cache-Control", "no-cache" );
@@ -951,7 +2836,7 @@ export const streamTodoEvents = ( req, res ) =>
       }
     }, SSE_HEARTBEAT_INTERVAL );
 
-    const client = { userId, res, heartbeat };
+    const client = { userId, sessionId, res, heartbeat };
     activeSseClients.add( client );
 
     req.on( "close", () =>
@@ -961,7 +2846,8 @@ export const streamTodoEvents = ( req, res ) =>
     } );
   } catch ( error )
   {
-    res.status( 401 ).json( { success: false, data: null, message: "Invalid authentication token" } );
+    const message = error.statusCode === 401 ? error.message : "Invalid authentication token";
+    res.status( 401 ).json( { success: false, data: null, message } );
   }
 };
 
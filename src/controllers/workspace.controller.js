@@ -0,0 +1,591 @@
+import crypto from "crypto";
+
+import prisma from "../prisma/client.js";
+import { broadcastChange, notifyUsers } from "../events/todoEvents.js";
+import { sendMail } from "../mail/index.js";
+import { workspaceInvitationEmail } from "../mail/templates.js";
+import { parseEntityId } from "../utils/validation.js";
+import { deleteUnusedFiles } from "../utils/attachments.js";
+import
+{
+  parseWorkspaceId,
+  parseWorkspaceRole,
+  findAccessibleWorkspace,
+} from "../utils/workspaces.js";
+
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const getInvitationTtlMs = () =>
+{
+  const days = Number.parseFloat( process.env.WORKSPACE_INVITATION_TTL_DAYS ?? "" );
+  return ( Number.isFinite( days ) && days > 0 ? days : 7 ) * 24 * 60 * 60 * 1000;
+};
+
+const hashInvitationToken = ( token ) => crypto.createHash( "sha256" ).update( token ).digest( "hex" );
+
+const parseWorkspaceName = ( value ) =>
+{
+  if ( typeof value !== "string" || !value.trim() )
+  {
+    const error = new Error( "Workspace name is required and must be a string" );
+    error.statusCode = 400;
+    throw error;
+  }
+  if ( value.trim().length > MAX_WORKSPACE_NAME_LENGTH )
+  {
+    const error = new Error( `Workspace name must be at most ${ MAX_WORKSPACE_NAME_LENGTH } characters` );
+    error.statusCode = 400;
+    throw error;
+  }
+  return value.trim();
+};
+
+const parseEmail = ( value ) =>
+{
+  const email = typeof value === "string" ? value.trim().toLowerCase() : "";
+  if ( !EMAIL_PATTERN.test( email ) )
+  {
+    const error = new Error( "A valid email is required" );
+    error.statusCode = 400;
+    throw error;
+  }
+  return email;
+};
+
+const sanitizeWorkspace = ( workspace, role ) => ( {
+  id: workspace.id,
+  name: workspace.name,
+  personal: workspace.personalOwnerId !== null,
+  role,
+  memberCount: workspace._count?.members,
+  todoCount: workspace._count?.todos,
+  createdAt: workspace.createdAt,
+  updatedAt: workspace.updatedAt,
+} );
+
+const sanitizeMember = ( member ) => ( {
+  userId: member.userId,
+  email: member.user.email,
+  name: member.user.name,
+  role: member.role,
+  joinedAt: member.createdAt,
+} );
+
+const sanitizeInvitation = ( invitation ) => ( {
+  id: invitation.id,
+  workspaceId: invitation.workspaceId,
+  email: invitation.email,
+  role: invitation.role,
+  invitedBy: invitation.invitedBy
+    ? { id: invitation.invitedBy.id, name: invitation.invitedBy.name }
+    : null,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+} );
+
+const WORKSPACE_COUNTS = {
+  _count: { select: { members: true, todos: { where: { deletedAt: null } } } },
+};
+
+const MEMBER_INCLUDE = {
+  user: { select: { email: true, name: true } },
+};
+
+const INVITATION_INCLUDE = {
+  invitedBy: { select: { id: true, name: true } },
+};
+
+const fetchMembers = ( workspaceId ) =>
+  prisma.workspaceMember.findMany( {
+    where: { workspaceId },
+    orderBy: [ { createdAt: "asc" }, { id: "asc" } ],
+    include: MEMBER_INCLUDE,
+  } );
+
+const assertShareable = ( workspace ) =>
+{
+  if ( workspace.personalOwnerId !== null )
+  {
+    const error = new Error( "Personal workspaces cannot be shared; create a workspace to collaborate" );
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Refuse to demote or remove the last owner, which would leave a workspace
+ * nobody can manage.
+ */
+const assertKeepsAnOwner = async ( member, nextRole ) =>
+{
+  if ( member.role !== "OWNER" || nextRole === "OWNER" )
+  {
+    return;
+  }
+
+  const ownerCount = await prisma.workspaceMember.count( {
+    where: { workspaceId: member.workspaceId, role: "OWNER" },
+  } );
+
+  if ( ownerCount <= 1 )
+  {
+    const error = new Error( "A workspace needs at least one owner; promote another member first" );
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+const findMember = async ( workspaceId, userId ) =>
+{
+  const member = await prisma.workspaceMember.findUnique( {
+    where: { workspaceId_userId: { workspaceId, userId } },
+    include: MEMBER_INCLUDE,
+  } );
+
+  if ( !member )
+  {
+    const error = new Error( "Member not found" );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return member;
+};
+
+const broadcastMembers = async ( workspaceId ) =>
+{
+  const members = await fetchMembers( workspaceId );
+  broadcastChange( workspaceId, {
+    type: "workspace_members",
+    members: members.map( sanitizeMember ),
+  } );
+};
+
+export const listWorkspaces = async ( req, res, next ) =>
+{
+  try
+  {
+    const memberships = await prisma.workspaceMember.findMany( {
+      where: { userId: req.user.id },
+      orderBy: [ { createdAt: "asc" }, { id: "asc" } ],
+      include: { workspace: { include: WORKSPACE_COUNTS } },
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: memberships.map( ( membership ) => sanitizeWorkspace( membership.workspace, membership.role ) ),
+      message: "Workspaces fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const createWorkspace = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const name = parseWorkspaceName( req.body?.name );
+
+    const workspace = await prisma.workspace.create( {
+      data: {
+        name,
+        members: { create: { userId, role: "OWNER" } },
+      },
+      include: WORKSPACE_COUNTS,
+    } );
+
+    res.status( 201 ).json( {
+      success: true,
+      data: sanitizeWorkspace( workspace, "OWNER" ),
+      message: "Workspace created successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const getWorkspace = async ( req, res, next ) =>
+{
+  try
+  {
+    const workspace = await findAccessibleWorkspace( prisma, {
+      id: parseWorkspaceId( req.params.id ),
+      userId: req.user.id,
+    } );
+    const counts = await prisma.workspace.findUnique( {
+      where: { id: workspace.id },
+      select: WORKSPACE_COUNTS,
+    } );
+    const members = await fetchMembers( workspace.id );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: {
+        ...sanitizeWorkspace( { ...workspace, ...counts }, workspace.role ),
+        members: members.map( sanitizeMember ),
+      },
+      message: "Workspace fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const updateWorkspace = async ( req, res, next ) =>
+{
+  try
+  {
+    const workspace = await findAccessibleWorkspace( prisma, {
+      id: parseWorkspaceId( req.params.id ),
+      userId: req.user.id,
+      minRole: "OWNER",
+    } );
+    const name = parseWorkspaceName( req.body?.name );
+
+    const updated = await prisma.workspace.update( {
+      where: { id: workspace.id },
+      data: { name },
+      include: WORKSPACE_COUNTS,
+    } );
+
+    broadcastChange( workspace.id, {
+      type: "workspace_updated",
+      workspace: { id: updated.id, name: updated.name },
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: sanitizeWorkspace( updated, workspace.role ),
+      message: "Workspace updated successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+/**
+ * Delete a shared workspace with all of its todos, trash included.
+ */
+export const deleteWorkspace = async ( req, res, next ) =>
+{
+  try
+  {
+    const workspace = await findAccessibleWorkspace( prisma, {
+      id: parseWorkspaceId( req.params.id ),
+      userId: req.user.id,
+      minRole: "OWNER",
+    } );
+
+    if ( workspace.personalOwnerId !== null )
+    {
+      const error = new Error( "Personal workspaces cannot be deleted" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const members = await prisma.workspaceMember.findMany( {
+      where: { workspaceId: workspace.id },
+      select: { userId: true },
+    } );
+    const attachments = await prisma.attachment.findMany( {
+      where: { todo: { workspaceId: workspace.id } },
+      select: { storageKey: true, smallKey: true, mediumKey: true },
+    } );
+
+    await prisma.workspace.delete( { where: { id: workspace.id } } );
+    await deleteUnusedFiles( attachments );
+
+    notifyUsers( members.map( ( member ) => member.userId ), {
+      type: "workspace_deleted",
+      workspaceId: workspace.id,
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Workspace deleted successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const updateMember = async ( req, res, next ) =>
+{
+  try
+  {
+    const workspace = await findAccessibleWorkspace( prisma, {
+      id: parseWorkspaceId( req.params.id ),
+      userId: req.user.id,
+      minRole: "OWNER",
+    } );
+    const member = await findMember( workspace.id, parseEntityId( req.params.userId, "User" ) );
+    const role = parseWorkspaceRole( req.body?.role );
+
+    await assertKeepsAnOwner( member, role );
+
+    const updated = member.role === role
+      ? member
+      : await prisma.workspaceMember.update( {
+        where: { id: member.id },
+        data: { role },
+        include: MEMBER_INCLUDE,
+      } );
+
+    if ( updated !== member )
+    {
+      await broadcastMembers( workspace.id );
+    }
+
+    res.status( 200 ).json( {
+      success: true,
+      data: sanitizeMember( updated ),
+      message: "Member updated successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+/**
+ * Remove a member. Owners may remove anyone; every member may leave.
+ */
+export const removeMember = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const memberUserId = parseEntityId( req.params.userId, "User" );
+    const workspace = await findAccessibleWorkspace( prisma, {
+      id: parseWorkspaceId( req.params.id ),
+      userId,
+      minRole: memberUserId === userId ? "VIEWER" : "OWNER",
+    } );
+    const member = await findMember( workspace.id, memberUserId );
+
+    await assertKeepsAnOwner( member, null );
+    await prisma.workspaceMember.delete( { where: { id: member.id } } );
+
+    await broadcastMembers( workspace.id );
+    notifyUsers( [ memberUserId ], {
+      type: "workspace_removed",
+      workspaceId: workspace.id,
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: memberUserId === userId ? "Left the workspace successfully" : "Member removed successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const listInvitations = async ( req, res, next ) =>
+{
+  try
+  {
+    const workspace = await findAccessibleWorkspace( prisma, {
+      id: parseWorkspaceId( req.params.id ),
+      userId: req.user.id,
+      minRole: "OWNER",
+    } );
+    const invitations = await prisma.workspaceInvitation.findMany( {
+      where: { workspaceId: workspace.id, expiresAt: { gt: new Date() } },
+      orderBy: { createdAt: "desc" },
+      include: INVITATION_INCLUDE,
+    } );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: invitations.map( sanitizeInvitation ),
+      message: "Invitations fetched successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+/**
+ * Invite an email address to a workspace. The response carries the only copy
+ * of the invitation token; inviting the same address again replaces it.
+ */
+export const createInvitation = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const workspace = await findAccessibleWorkspace( prisma, {
+      id: parseWorkspaceId( req.params.id ),
+      userId,
+      minRole: "OWNER",
+    } );
+    assertShareable( workspace );
+
+    const email = parseEmail( req.body?.email );
+    const role = typeof req.body?.role === "undefined" ? "EDITOR" : parseWorkspaceRole( req.body.role );
+
+    const existingMember = await prisma.workspaceMember.findFirst( {
+      where: { workspaceId: workspace.id, user: { email } },
+      select: { id: true },
+    } );
+
+    if ( existingMember )
+    {
+      const error = new Error( `${ email } is already a member of this workspace` );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const token = crypto.randomBytes( 32 ).toString( "base64url" );
+    const data = {
+      role,
+      tokenHash: hashInvitationToken( token ),
+      invitedById: userId,
+      expiresAt: new Date( Date.now() + getInvitationTtlMs() ),
+    };
+
+    const invitation = await prisma.workspaceInvitation.upsert( {
+      where: { workspaceId_email: { workspaceId: workspace.id, email } },
+      update: data,
+      create: { ...data, workspaceId: workspace.id, email },
+      include: INVITATION_INCLUDE,
+    } );
+
+    try
+    {
+      const inviter = await prisma.user.findUnique( {
+        where: { id: userId },
+        select: { email: true, name: true },
+      } );
+      await sendMail( workspaceInvitationEmail( {
+        email,
+        inviter,
+        workspace,
+        role,
+        token,
+        expiresAt: invitation.expiresAt,
+      } ) );
+    } catch ( mailError )
+    {
+      // The token is still returned below, so the owner can pass it on by hand.
+      console.error( "Failed to send the invitation email", { invitationId: invitation.id, mailError } );
+    }
+
+    res.status( 201 ).json( {
+      success: true,
+      data: { ...sanitizeInvitation( invitation ), token },
+      message: "Invitation created successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+export const revokeInvitation = async ( req, res, next ) =>
+{
+  try
+  {
+    const workspace = await findAccessibleWorkspace( prisma, {
+      id: parseWorkspaceId( req.params.id ),
+      userId: req.user.id,
+      minRole: "OWNER",
+    } );
+    const { count } = await prisma.workspaceInvitation.deleteMany( {
+      where: { id: parseEntityId( req.params.invitationId, "Invitation" ), workspaceId: workspace.id },
+    } );
+
+    if ( count === 0 )
+    {
+      const error = new Error( "Invitation not found" );
+      error.statusCode = 404;
+      throw error;
+    }
+
+    res.status( 200 ).json( {
+      success: true,
+      data: null,
+      message: "Invitation revoked successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
+
+/**
+ * Join a workspace with an invitation token sent to the signed-in user's email.
+ */
+export const acceptInvitation = async ( req, res, next ) =>
+{
+  try
+  {
+    const userId = req.user.id;
+    const token = req.body?.token;
+
+    if ( typeof token !== "string" || !token.trim() )
+    {
+      const error = new Error( "Invitation token is required" );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const invitation = await prisma.workspaceInvitation.findUnique( {
+      where: { tokenHash: hashInvitationToken( token.trim() ) },
+    } );
+
+    if ( !invitation || invitation.expiresAt <= new Date() )
+    {
+      const error = new Error( "Invitation not found or expired" );
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const user = await prisma.user.findUnique( { where: { id: userId }, select: { email: true } } );
+    if ( user?.email !== invitation.email )
+    {
+      const error = new Error( "This invitation was sent to a different email address" );
+      error.statusCode = 403;
+      throw error;
+    }
+
+    await prisma.$transaction( async ( tx ) =>
+    {
+      await tx.workspaceMember.upsert( {
+        where: { workspaceId_userId: { workspaceId: invitation.workspaceId, userId } },
+        update: {},
+        create: { workspaceId: invitation.workspaceId, userId, role: invitation.role },
+      } );
+      await tx.workspaceInvitation.delete( { where: { id: invitation.id } } );
+    } );
+
+    const workspace = await findAccessibleWorkspace( prisma, { id: invitation.workspaceId, userId } );
+    const counts = await prisma.workspace.findUnique( {
+      where: { id: workspace.id },
+      select: WORKSPACE_COUNTS,
+    } );
+    await broadcastMembers( workspace.id );
+
+    res.status( 200 ).json( {
+      success: true,
+      data: sanitizeWorkspace( { ...workspace, ...counts }, workspace.role ),
+      message: "Invitation accepted successfully",
+    } );
+  } catch ( error )
+  {
+    next( error );
+  }
+};
@@ -1,7 +1,65 @@
 import { EventEmitter } from "events";
 
+import prisma from "../prisma/client.js";
+
 const todoEvents = new EventEmitter();
 todoEvents.setMaxListeners(100);
 
-export default todoEvents;
+/**
+ * Notify the SSE subscribers among the given users of a change.
+ * @param {number[]} userIds
+ * @param {{ type: string, [key: string]: unknown }} payload
+ */
+export const notifyUsers = ( userIds, payload ) =>
+{
+  todoEvents.emit( "change", payload, [ ...new Set( userIds ) ] );
+};
+
+/**
+ * Notify the SSE subscribers who are members of a workspace of a change to its
+ * todos. Members are looked up after the response is sent; a failed lookup
+ * only costs the live update.
+ * @param {number} workspaceId
+ * @param {{ type: string, todos?: object[], removedIds?: number[], [key: string]: unknown }} payload
+ */
+export const broadcastChange = ( workspaceId, payload ) =>
+{
+  prisma.workspaceMember
+    .findMany( { where: { workspaceId }, select: { userId: true } } )
+    .then( ( members ) => notifyUsers( members.map( ( member ) => member.userId ), { workspaceId, ...payload } ) )
+    .catch( ( error ) => console.error( `Failed to broadcast a change to workspace ${ workspaceId }:`, error ) );
+};
+
+/**
+ * Broadcast normalized todos to the members of the workspaces they belong to.
+ * @param {string} type
+ * @param {object[]} todos
+ * @param {Record<string, unknown>} [extra] fields added to every payload
+ */
+export const broadcastTodos = ( type, todos, extra = {} ) =>
+{
+  const byWorkspace = new Map();
+  todos.forEach( ( todo ) =>
+  {
+    byWorkspace.set( todo.workspaceId, [ ...( byWorkspace.get( todo.workspaceId ) ?? [] ), todo ] );
+  } );
 
+  byWorkspace.forEach( ( group, workspaceId ) =>
+  {
+    broadcastChange( workspaceId, { type, ...extra, todos: group } );
+  } );
+};
+
+/**
+ * Tell the SSE endpoint to close the streams opened with the given sessions.
+ * @param {number[]} sessionIds
+ */
+export const notifySessionsRevoked = ( sessionIds ) =>
+{
+  if ( sessionIds.length > 0 )
+  {
+    todoEvents.emit( "sessions_revoked", sessionIds );
+  }
+};
+
+export default todoEvents;
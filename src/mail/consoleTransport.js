@@ -0,0 +1,9 @@
+/** @type {import("./index.js").MailTransport} */
+export const consoleTransport = {
+  name: "console",
+
+  send: async ( { from, to, subject, text } ) =>
+  {
+    console.log( [ "📧 Mail", `From: ${ from }`, `To: ${ to }`, `Subject: ${ subject }`, "", text, "" ].join( "\n" ) );
+  },
+};
@@ -0,0 +1,37 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+
+const DEFAULT_MAIL_DIR = fileURLToPath( new URL( "../../mail", import.meta.url ) );
+
+// Renders messages to RFC 5322 source instead of delivering them.
+const messageBuilder = nodemailer.createTransport( { streamTransport: true, buffer: true, newline: "windows" } );
+
+/**
+ * Directory the file transport writes to (MAIL_DIR, defaults to `mail` in the
+ * project root).
+ * @returns {string}
+ */
+export const getMailDir = () =>
+  ( process.env.MAIL_DIR ? path.resolve( process.env.MAIL_DIR ) : DEFAULT_MAIL_DIR );
+
+/**
+ * Writes every message to an `.eml` file instead of sending it, so development
+ * setups and tests can read the links and tokens that were mailed.
+ * @type {import("./index.js").MailTransport}
+ */
+export const fileTransport = {
+  name: "file",
+
+  send: async ( { from, to, subject, text } ) =>
+  {
+    const recipient = to.replace( /[^a-zA-Z0-9@._-]/g, "_" );
+    const file = path.join( getMailDir(), `${ Date.now() }-${ process.hrtime.bigint() }-${ recipient }.eml` );
+    const { message } = await messageBuilder.sendMail( { from, to, subject, text } );
+
+    await fs.mkdir( getMailDir(), { recursive: true } );
+    await fs.writeFile( file, message );
+    console.log( `📧 Mail to ${ to } written to ${ file }` );
+  },
+};
@@ -0,0 +1,70 @@
+import { smtpTransport, isSmtpConfigured } from "./smtpTransport.js";
+import { fileTransport } from "./fileTransport.js";
+import { consoleTransport } from "./consoleTransport.js";
+
+/**
+ * @typedef {object} MailMessage
+ * @property {string} from - `Name <address>` or a bare address
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text - plain-text body
+ *
+ * @typedef {object} MailTransport
+ * @property {string} name
+ * @property {( message: MailMessage ) => Promise<void>} send - rejects when the message was not accepted
+ */
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+const DEFAULT_MAIL_FROM = "Todo <no-reply@localhost>";
+
+const defaultTransportName = () =>
+{
+  if ( isSmtpConfigured() )
+  {
+    return "smtp";
+  }
+
+  // The console transport prints reset and verification tokens, which must
+  // not end up in production logs unless it was chosen explicitly.
+  if ( process.env.NODE_ENV === "production" )
+  {
+    const error = new Error( "Missing mail configuration. Please set SMTP_HOST or MAIL_TRANSPORT." );
+    error.statusCode = 500;
+    throw error;
+  }
+
+  return "console";
+};
+
+/**
+ * The mail transport selected by MAIL_TRANSPORT (`smtp`, `file` or `console`).
+ * Defaults to SMTP when SMTP_HOST is set and, outside production, to the
+ * console otherwise.
+ * @returns {MailTransport}
+ */
+export const getMailTransport = () =>
+{
+  const name = ( process.env.MAIL_TRANSPORT ?? "" ).trim().toLowerCase() || defaultTransportName();
+  const transport = TRANSPORTS[ name ];
+
+  if ( !transport )
+  {
+    const error = new Error( `Unknown MAIL_TRANSPORT "${ name }". Use one of ${ Object.keys( TRANSPORTS ).join( ", " ) }` );
+    error.statusCode = 500;
+    throw error;
+  }
+
+  return transport;
+};
+
+/**
+ * Send a plain-text message from MAIL_FROM through the configured transport.
+ * @param {{ to: string, subject: string, text: string }} message
+ */
+export const sendMail = ( message ) =>
+  getMailTransport().send( { from: process.env.MAIL_FROM || DEFAULT_MAIL_FROM, ...message } );
@@ -0,0 +1,54 @@
+import nodemailer from "nodemailer";
+
+export const isSmtpConfigured = () => Boolean( process.env.SMTP_HOST );
+
+const readSmtpConfig = () =>
+{
+  if ( !isSmtpConfigured() )
+  {
+    const error = new Error( "Missing SMTP configuration. Please set the SMTP_HOST environment variable." );
+    error.statusCode = 500;
+    throw error;
+  }
+
+  const secure = process.env.SMTP_SECURE === "true";
+  const user = process.env.SMTP_USER || null;
+
+  return {
+    host: process.env.SMTP_HOST,
+    port: Number( process.env.SMTP_PORT ) || ( secure ? 465 : 587 ),
+    secure,
+    // Credentials are never sent in cleartext: without implicit TLS the server
+    // must accept STARTTLS, so a stripped STARTTLS offer fails the delivery.
+    requireTLS: Boolean( user ) && !secure,
+    auth: user ? { user, pass: process.env.SMTP_PASSWORD || "" } : undefined,
+  };
+};
+
+/**
+ * Sends mail through the SMTP server configured with SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE (implicit TLS, otherwise STARTTLS: required with credentials,
+ * used when offered without), SMTP_USER and SMTP_PASSWORD.
+ * @type {import("./index.js").MailTransport}
+ */
+export const smtpTransport = {
+  name: "smtp",
+
+  send: async ( { from, to, subject, text } ) =>
+  {
+    const transporter = nodemailer.createTransport( readSmtpConfig() );
+
+    try
+    {
+      await transporter.sendMail( { from, to, subject, text } );
+    } catch ( error )
+    {
+      const sendError = new Error( `SMTP delivery failed: ${ error.message }` );
+      sendError.statusCode = 502;
+      throw sendError;
+    } finally
+    {
+      transporter.close();
+    }
+  },
+};
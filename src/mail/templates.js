@@ -0,0 +1,71 @@
+/**
+ * Link to a page of the frontend at APP_BASE_URL carrying a mailed token, or
+ * `null` when it is not configured (the message then carries the bare token).
+ */
+const appLink = ( pathname, token ) =>
+{
+  const baseUrl = ( process.env.APP_BASE_URL ?? "" ).replace( /\/+$/, "" );
+  return baseUrl ? `${ baseUrl }${ pathname }?token=${ encodeURIComponent( token ) }` : null;
+};
+
+const describeDuration = ( minutes ) =>
+{
+  if ( minutes % ( 24 * 60 ) === 0 )
+  {
+    const days = minutes / ( 24 * 60 );
+    return `${ days } ${ days === 1 ? "day" : "days" }`;
+  }
+  if ( minutes % 60 === 0 )
+  {
+    const hours = minutes / 60;
+    return `${ hours } ${ hours === 1 ? "hour" : "hours" }`;
+  }
+  return `${ minutes } minutes`;
+};
+
+const tokenInstructions = ( pathname, token ) =>
+{
+  const link = appLink( pathname, token );
+  return link ? [ "Open this link:", link ] : [ "Use this code:", token ];
+};
+
+const greeting = ( user ) => `Hi ${ user.name || user.email },`;
+
+export const passwordResetEmail = ( { user, token, ttlMinutes } ) => ( {
+  to: user.email,
+  subject: "Reset your password",
+  text: [
+    greeting( user ),
+    "",
+    "We received a request to reset your password.",
+    ...tokenInstructions( "/reset-password", token ),
+    "",
+    `It expires in ${ describeDuration( ttlMinutes ) } and works once. If you did not ask for it, ignore this email; your password stays the same.`,
+  ].join( "\n" ),
+} );
+
+export const emailVerificationEmail = ( { user, token, ttlMinutes } ) => ( {
+  to: user.email,
+  subject: "Verify your email address",
+  text: [
+    greeting( user ),
+    "",
+    "Please confirm that this is your email address.",
+    ...tokenInstructions( "/verify-email", token ),
+    "",
+    `It expires in ${ describeDuration( ttlMinutes ) }.`,
+  ].join( "\n" ),
+} );
+
+export const workspaceInvitationEmail = ( { email, inviter, workspace, role, token, expiresAt } ) => ( {
+  to: email,
+  subject: `${ inviter.name || inviter.email } invited you to "${ workspace.name }"`,
+  text: [
+    "Hi,",
+    "",
+    `${ inviter.name || inviter.email } invited you to join the workspace "${ workspace.name }" as ${ role.toLowerCase() }.`,
+    ...tokenInstructions( "/invitations/accept", token ),
+    "",
+    `Sign in (or register) with this email address to accept. The invitation expires on ${ expiresAt.toUTCString() }.`,
+  ].join( "\n" ),
+} );
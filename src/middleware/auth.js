@@ -1,14 +1,5 @@
-import jwt from "jsonwebtoken";
-
-const ensureJwtSecret = () =>
-{
-  const secret = process.env.JWT_SECRET;
-  if ( !secret )
-  {
-    throw new Error( "JWT_SECRET is not configured" );
-  }
-  return secret;
-};
+import prisma from "../prisma/client.js";
+import { verifyAccessToken } from "../utils/sessions.js";
 
 const extractToken = ( req ) =>
 {
@@ -26,46 +17,39 @@ const extractToken = ( req ) =>
   return null;
 };
 
-const authenticate = ( req, res, next ) =>
+const authenticate = async ( req, res, next ) =>
 {
+  const token = extractToken( req );
+  if ( !token )
+  {
+    res.status( 401 ).json( { success: false, data: null, message: "Authentication required" } );
+    return;
+  }
+
+  let verified;
   try
   {
-    const token = extractToken( req );
-    if ( !token )
+    verified = await verifyAccessToken( prisma, token );
+  } catch ( error )
+  {
+    if ( error.statusCode !== 401 )
     {
-      res.status( 401 ).json( { success: false, data: null, message: "Authentication required" } );
+      next( error );
       return;
     }
 
-    const secret = ensureJwtSecret();
-    const payload = jwt.verify( token, secret );
-    const rawId = typeof payload.userId !== "undefined"
-      ? payload.userId
-      : payload.sub;
-    const parsedId = typeof rawId === "string" ? Number.parseInt( rawId, 10 ) : rawId;
-
-    if ( Number.isNaN( parsedId ) || !parsedId )
-    {
-      res.status( 401 ).json( { success: false, data: null, message: "Invalid authentication token" } );
-      return;
-    }
+    res.status( 401 ).json( { success: false, data: null, message: error.message } );
+    return;
+  }
 
-    req.user = {
-      id: parsedId,
-      email: payload.email,
-      token,
-    };
+  req.user = {
+    id: verified.userId,
+    email: verified.email,
+    sessionId: verified.sessionId,
+    token,
+  };
 
-    next();
-  } catch ( error )
-  {
-    res.status( 401 ).json( {
-      success: false,
-      data: null,
-      message: "Invalid or expired authentication token",
-    } );
-  }
+  next();
 };
 
 export default authenticate;
-
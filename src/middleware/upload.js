@@ -1,13 +1,39 @@
 import multer from "multer";
 
+import { isAllowedMimeType } from "../utils/fileType.js";
+
+const DEFAULT_MAX_FILE_SIZE_MB = 10;
+const DEFAULT_MAX_FILES = 10;
+
+const readNumber = ( name, defaultValue ) =>
+{
+  const value = Number( process.env[ name ] );
+  return Number.isFinite( value ) && value > 0 ? value : defaultValue;
+};
+
+export const MAX_FILES_PER_UPLOAD = readNumber( "UPLOAD_MAX_FILES", DEFAULT_MAX_FILES );
+
+// Early rejection based on the declared type; the content is verified when the
+// file is stored (see resolveUploadMimeType).
 const fileFilter = ( _req, file, cb ) =>
 {
-  if ( !file.mimetype.startsWith( "image/" ) )
+  const mimeType = ( file.mimetype || "" ).toLowerCase();
+
+  // The legacy `image` field of the todo endpoints only takes images.
+  if ( file.fieldname === "image" && !mimeType.startsWith( "image/" ) )
   {
     const error = new Error( "Only image files are allowed" );
     error.statusCode = 400;
     return cb( error );
   }
+
+  if ( !isAllowedMimeType( mimeType ) )
+  {
+    const error = new Error( `Files of type ${ mimeType || "unknown" } are not allowed` );
+    error.statusCode = 400;
+    return cb( error );
+  }
+
   cb( null, true );
 };
 
@@ -17,7 +43,8 @@ const upload = multer( {
   storage,
   fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB
+    fileSize: readNumber( "UPLOAD_MAX_FILE_SIZE_MB", DEFAULT_MAX_FILE_SIZE_MB ) * 1024 * 1024,
+    files: MAX_FILES_PER_UPLOAD,
   },
 } );
 
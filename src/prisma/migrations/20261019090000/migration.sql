@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple'::regconfig, coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('simple'::regconfig, coalesce("description", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Todo_searchVector_idx" ON "Todo" USING GIN ("searchVector");
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN "position" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Backfill: keep the existing creation order within each sibling list
+UPDATE "Todo" AS t
+SET "position" = ranked."rowNumber" * 1024
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "userId", "parentId" ORDER BY "createdAt", "id") AS "rowNumber"
+    FROM "Todo"
+) AS ranked
+WHERE t."id" = ranked."id";
+
+-- CreateIndex
+CREATE INDEX "Todo_parentId_position_idx" ON "Todo"("parentId", "position");
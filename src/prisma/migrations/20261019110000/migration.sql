@@ -0,0 +1,7 @@
+-- CreateEnum
+CREATE TYPE "StatusMode" AS ENUM ('DERIVED', 'MANUAL');
+
+-- AlterTable
+-- Existing todos keep their directly set statuses; only new todos derive theirs.
+ALTER TABLE "Todo" ADD COLUMN "statusMode" "StatusMode" NOT NULL DEFAULT 'MANUAL';
+ALTER TABLE "Todo" ALTER COLUMN "statusMode" SET DEFAULT 'DERIVED';
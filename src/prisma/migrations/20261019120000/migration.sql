@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN "deletedAt" TIMESTAMP(3),
+ADD COLUMN "deletionRootId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Todo_userId_deletedAt_idx" ON "Todo"("userId", "deletedAt");
+
+-- CreateIndex
+CREATE INDEX "Todo_deletionRootId_idx" ON "Todo"("deletionRootId");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN "recurrenceRule" TEXT,
+ADD COLUMN "recurrenceStart" TIMESTAMP(3),
+ADD COLUMN "recurrenceSeriesId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Todo_recurrenceSeriesId_idx" ON "Todo"("recurrenceSeriesId");
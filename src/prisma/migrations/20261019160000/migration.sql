@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "TodoPriority" AS ENUM ('NONE', 'LOW', 'MEDIUM', 'HIGH', 'URGENT');
+
+-- AlterEnum
+ALTER TYPE "TimelineEventType" ADD VALUE 'PRIORITY_CHANGED';
+
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN "priority" "TodoPriority" NOT NULL DEFAULT 'NONE';
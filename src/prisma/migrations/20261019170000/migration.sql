@@ -0,0 +1,24 @@
+-- AlterEnum
+ALTER TYPE "TimelineEventType" ADD VALUE 'UNBLOCKED';
+
+-- CreateTable
+CREATE TABLE "TodoDependency" (
+    "id" SERIAL NOT NULL,
+    "blockerId" INTEGER NOT NULL,
+    "blockedId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TodoDependency_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TodoDependency_blockedId_idx" ON "TodoDependency"("blockedId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TodoDependency_blockerId_blockedId_key" ON "TodoDependency"("blockerId", "blockedId");
+
+-- AddForeignKey
+ALTER TABLE "TodoDependency" ADD CONSTRAINT "TodoDependency_blockerId_fkey" FOREIGN KEY ("blockerId") REFERENCES "Todo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TodoDependency" ADD CONSTRAINT "TodoDependency_blockedId_fkey" FOREIGN KEY ("blockedId") REFERENCES "Todo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
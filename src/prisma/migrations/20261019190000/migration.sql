@@ -0,0 +1,51 @@
+-- AlterEnum
+ALTER TYPE "TimelineEventType" ADD VALUE 'ATTACHMENT_ADDED';
+ALTER TYPE "TimelineEventType" ADD VALUE 'ATTACHMENT_REMOVED';
+
+-- CreateTable
+CREATE TABLE "Attachment" (
+    "id" SERIAL NOT NULL,
+    "todoId" INTEGER NOT NULL,
+    "uploaderId" INTEGER,
+    "url" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Attachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Attachment_todoId_idx" ON "Attachment"("todoId");
+
+-- CreateIndex
+CREATE INDEX "Attachment_url_idx" ON "Attachment"("url");
+
+-- AddForeignKey
+ALTER TABLE "Attachment" ADD CONSTRAINT "Attachment_todoId_fkey" FOREIGN KEY ("todoId") REFERENCES "Todo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Attachment" ADD CONSTRAINT "Attachment_uploaderId_fkey" FOREIGN KEY ("uploaderId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Move each todo image into an attachment (the size of existing files is unknown)
+INSERT INTO "Attachment" ("todoId", "uploaderId", "url", "filename", "mimeType", "createdAt")
+SELECT
+    "id",
+    "userId",
+    "imageUrl",
+    regexp_replace("imageUrl", '^.*/', ''),
+    CASE lower(substring("imageUrl" from '\.([A-Za-z0-9]+)$'))
+        WHEN 'png' THEN 'image/png'
+        WHEN 'gif' THEN 'image/gif'
+        WHEN 'webp' THEN 'image/webp'
+        WHEN 'svg' THEN 'image/svg+xml'
+        WHEN 'avif' THEN 'image/avif'
+        ELSE 'image/jpeg'
+    END,
+    "updatedAt"
+FROM "Todo"
+WHERE "imageUrl" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Todo" DROP COLUMN "imageUrl";
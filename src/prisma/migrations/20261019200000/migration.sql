@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Attachment" ADD COLUMN     "width" INTEGER,
+ADD COLUMN     "height" INTEGER,
+ADD COLUMN     "smallUrl" TEXT,
+ADD COLUMN     "mediumUrl" TEXT;
@@ -0,0 +1,7 @@
+-- Attachment files are private: columns hold storage keys, not public URLs.
+ALTER TABLE "Attachment" RENAME COLUMN "url" TO "storageKey";
+ALTER TABLE "Attachment" RENAME COLUMN "smallUrl" TO "smallKey";
+ALTER TABLE "Attachment" RENAME COLUMN "mediumUrl" TO "mediumKey";
+
+-- RenameIndex
+ALTER INDEX "Attachment_url_idx" RENAME TO "Attachment_storageKey_idx";
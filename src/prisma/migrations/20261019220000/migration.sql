@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "PendingFileDeletion" (
+    "id" SERIAL NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PendingFileDeletion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PendingFileDeletion_storageKey_key" ON "PendingFileDeletion"("storageKey");
+
+-- CreateIndex
+CREATE INDEX "PendingFileDeletion_nextAttemptAt_idx" ON "PendingFileDeletion"("nextAttemptAt");
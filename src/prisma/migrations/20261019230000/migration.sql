@@ -0,0 +1,123 @@
+-- CreateEnum
+CREATE TYPE "WorkspaceRole" AS ENUM ('OWNER', 'EDITOR', 'VIEWER');
+
+-- CreateTable
+CREATE TABLE "Workspace" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "personalOwnerId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Workspace_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WorkspaceMember" (
+    "id" SERIAL NOT NULL,
+    "workspaceId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "role" "WorkspaceRole" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WorkspaceMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WorkspaceInvitation" (
+    "id" SERIAL NOT NULL,
+    "workspaceId" INTEGER NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "WorkspaceRole" NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "invitedById" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WorkspaceInvitation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Workspace_personalOwnerId_key" ON "Workspace"("personalOwnerId");
+
+-- CreateIndex
+CREATE INDEX "WorkspaceMember_userId_idx" ON "WorkspaceMember"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkspaceMember_workspaceId_userId_key" ON "WorkspaceMember"("workspaceId", "userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkspaceInvitation_tokenHash_key" ON "WorkspaceInvitation"("tokenHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkspaceInvitation_workspaceId_email_key" ON "WorkspaceInvitation"("workspaceId", "email");
+
+-- AddForeignKey
+ALTER TABLE "Workspace" ADD CONSTRAINT "Workspace_personalOwnerId_fkey" FOREIGN KEY ("personalOwnerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkspaceMember" ADD CONSTRAINT "WorkspaceMember_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkspaceMember" ADD CONSTRAINT "WorkspaceMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkspaceInvitation" ADD CONSTRAINT "WorkspaceInvitation_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkspaceInvitation" ADD CONSTRAINT "WorkspaceInvitation_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Give every existing user a personal workspace they own
+INSERT INTO "Workspace" ("name", "personalOwnerId", "updatedAt")
+SELECT 'Personal', "id", CURRENT_TIMESTAMP FROM "User";
+
+INSERT INTO "WorkspaceMember" ("workspaceId", "userId", "role", "updatedAt")
+SELECT "id", "personalOwnerId", 'OWNER', CURRENT_TIMESTAMP FROM "Workspace";
+
+-- Move existing todos into their creator's personal workspace
+ALTER TABLE "Todo" ADD COLUMN "workspaceId" INTEGER;
+
+UPDATE "Todo" t
+SET "workspaceId" = w."id"
+FROM "Workspace" w
+WHERE w."personalOwnerId" = t."userId";
+
+ALTER TABLE "Todo" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "Todo_userId_deletedAt_idx";
+
+-- CreateIndex
+CREATE INDEX "Todo_workspaceId_deletedAt_idx" ON "Todo"("workspaceId", "deletedAt");
+
+-- AddForeignKey
+ALTER TABLE "Todo" ADD CONSTRAINT "Todo_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Tags belong to a workspace so every member can use them
+ALTER TABLE "Tag" ADD COLUMN "workspaceId" INTEGER;
+
+UPDATE "Tag" t
+SET "workspaceId" = w."id"
+FROM "Workspace" w
+WHERE w."personalOwnerId" = t."userId";
+
+ALTER TABLE "Tag" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "Tag" DROP CONSTRAINT "Tag_userId_fkey";
+
+-- DropIndex
+DROP INDEX "Tag_userId_idx";
+
+-- DropIndex
+DROP INDEX "Tag_userId_name_key";
+
+-- AlterTable
+ALTER TABLE "Tag" DROP COLUMN "userId";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Tag_workspaceId_name_key" ON "Tag"("workspaceId", "name");
+
+-- AddForeignKey
+ALTER TABLE "Tag" ADD CONSTRAINT "Tag_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "Workspace"("id") ON DELETE CASCADE ON UPDATE CASCADE;
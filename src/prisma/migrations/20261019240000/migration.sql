@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "TimelineEventType" ADD VALUE 'ASSIGNED';
+ALTER TYPE "TimelineEventType" ADD VALUE 'UNASSIGNED';
+
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN "assigneeId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Todo_assigneeId_deletedAt_idx" ON "Todo"("assigneeId", "deletedAt");
+
+-- AddForeignKey
+ALTER TABLE "Todo" ADD CONSTRAINT "Todo_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterEnum
+ALTER TYPE "TimelineEventType" ADD VALUE 'SHARE_CREATED';
+ALTER TYPE "TimelineEventType" ADD VALUE 'SHARE_REVOKED';
+
+-- CreateTable
+CREATE TABLE "TodoShare" (
+    "id" SERIAL NOT NULL,
+    "todoId" INTEGER NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "createdById" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TodoShare_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TodoShare_tokenHash_key" ON "TodoShare"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "TodoShare_todoId_idx" ON "TodoShare"("todoId");
+
+-- AddForeignKey
+ALTER TABLE "TodoShare" ADD CONSTRAINT "TodoShare_todoId_fkey" FOREIGN KEY ("todoId") REFERENCES "Todo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TodoShare" ADD CONSTRAINT "TodoShare_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
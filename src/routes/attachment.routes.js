@@ -0,0 +1,21 @@
+import { Router } from "express";
+
+import
+{
+  listAttachments,
+  uploadAttachments,
+  deleteAttachment,
+} from "../controllers/attachment.controller.js";
+import authenticate from "../middleware/auth.js";
+import upload, { MAX_FILES_PER_UPLOAD } from "../middleware/upload.js";
+
+// Mounted under /api/todos/:id/attachments.
+const router = Router( { mergeParams: true } );
+
+router.use( authenticate );
+
+router.get( "/", listAttachments );
+router.post( "/", upload.array( "files", MAX_FILES_PER_UPLOAD ), uploadAttachments );
+router.delete( "/:attachmentId", deleteAttachment );
+
+export default router;
@@ -1,15 +1,37 @@
 import { Router } from "express";
 
-import { register, login, getProfile } from "../controllers/auth.controller.js";
+import
+{
+  register,
+  login,
+  getProfile,
+  refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerificationEmail,
+} from "../controllers/auth.controller.js";
 import authenticate from "../middleware/auth.js";
 
 const router = Router();
 
 router.post( "/register", register );
 router.post( "/login", login );
+router.post( "/refresh", refresh );
+router.post( "/forgot-password", forgotPassword );
+router.post( "/reset-password", resetPassword );
+router.post( "/change-password", authenticate, changePassword );
+router.post( "/verify-email", verifyEmail );
+router.post( "/resend-verification", authenticate, resendVerificationEmail );
+router.post( "/logout", authenticate, logout );
+router.post( "/logout-all", authenticate, logoutAll );
+router.get( "/sessions", authenticate, listSessions );
+router.delete( "/sessions/:id", authenticate, revokeSession );
 router.get( "/me", authenticate, getProfile );
 
 export default router;
-
-
-
@@ -0,0 +1,22 @@
+import { Router } from "express";
+
+import
+{
+  listComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} from "../controllers/comment.controller.js";
+import authenticate from "../middleware/auth.js";
+
+// Mounted under /api/todos/:id/comments.
+const router = Router( { mergeParams: true } );
+
+router.use( authenticate );
+
+router.get( "/", listComments );
+router.post( "/", createComment );
+router.patch( "/:commentId", updateComment );
+router.delete( "/:commentId", deleteComment );
+
+export default router;
@@ -0,0 +1,22 @@
+import { Router } from "express";
+
+import { serveFile } from "../controllers/file.controller.js";
+import authenticate from "../middleware/auth.js";
+
+const router = Router();
+
+// Signed links carry their own authorization so that they work without a
+// token (e.g. in an <img> tag); any other request must be authenticated.
+const authenticateUnlessSigned = ( req, res, next ) =>
+{
+  if ( typeof req.query.signature === "string" )
+  {
+    next();
+    return;
+  }
+  authenticate( req, res, next );
+};
+
+router.get( "/:id", authenticateUnlessSigned, serveFile );
+
+export default router;
@@ -0,0 +1,20 @@
+import { Router } from "express";
+
+import
+{
+  listShares,
+  createShare,
+  revokeShare,
+} from "../controllers/share.controller.js";
+import authenticate from "../middleware/auth.js";
+
+// Mounted under /api/todos/:id/shares.
+const router = Router( { mergeParams: true } );
+
+router.use( authenticate );
+
+router.get( "/", listShares );
+router.post( "/", createShare );
+router.delete( "/:shareId", revokeShare );
+
+export default router;
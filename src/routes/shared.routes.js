@@ -0,0 +1,10 @@
+import { Router } from "express";
+
+import { getSharedTodo } from "../controllers/share.controller.js";
+
+// Share tokens carry their own authorization; these routes are public.
+const router = Router();
+
+router.get( "/:token", getSharedTodo );
+
+export default router;
@@ -0,0 +1,21 @@
+import { Router } from "express";
+
+import
+{
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag,
+} from "../controllers/tag.controller.js";
+import authenticate from "../middleware/auth.js";
+
+const router = Router();
+
+router.use( authenticate );
+
+router.get( "/", listTags );
+router.post( "/", createTag );
+router.patch( "/:id", updateTag );
+router.delete( "/:id", deleteTag );
+
+export default router;
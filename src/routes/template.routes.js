@@ -0,0 +1,25 @@
+import { Router } from "express";
+
+import
+{
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate,
+} from "../controllers/template.controller.js";
+import authenticate from "../middleware/auth.js";
+
+const router = Router();
+
+router.use( authenticate );
+
+router.get( "/", listTemplates );
+router.post( "/", createTemplate );
+router.get( "/:id", getTemplate );
+router.patch( "/:id", updateTemplate );
+router.delete( "/:id", deleteTemplate );
+router.post( "/:id/instantiate", instantiateTemplate );
+
+export default router;
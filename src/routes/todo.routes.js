@@ -3,25 +3,63 @@ import { Router } from "express";
 import
 {
   listTodos,
+  listAssignedTodos,
+  searchTodos,
+  getTodoSchedule,
   createTodo,
   updateTodo,
   updateTodoStatus,
   updateTodoStatusesBatch,
+  updateTodoPrioritiesBatch,
+  moveTodo,
+  reorderTodo,
+  duplicateTodo,
+  addDependency,
+  removeDependency,
+  previewRecurrence,
+  skipOccurrence,
+  stopRecurrence,
   streamTodoEvents,
   deleteTodo,
+  listTrash,
+  restoreTodo,
+  purgeTrashedTodo,
+  emptyTrash,
 } from "../controllers/todo.controller.js";
 import authenticate from "../middleware/auth.js";
 import upload from "../middleware/upload.js";
+import commentRoutes from "./comment.routes.js";
+import attachmentRoutes from "./attachment.routes.js";
+import shareRoutes from "./share.routes.js";
 
 const router = Router();
 
 router.get( "/stream", streamTodoEvents );
 
 router.get( "/", authenticate, listTodos );
+router.get( "/search", authenticate, searchTodos );
+router.get( "/assigned", authenticate, listAssignedTodos );
+router.get( "/trash", authenticate, listTrash );
+router.delete( "/trash", authenticate, emptyTrash );
+router.delete( "/trash/:id", authenticate, purgeTrashedTodo );
 router.post( "/", authenticate, upload.single( "image" ), createTodo );
 router.patch( "/batch-update", authenticate, updateTodoStatusesBatch );
 router.post( "/status/batch", authenticate, updateTodoStatusesBatch );
+router.post( "/priority/batch", authenticate, updateTodoPrioritiesBatch );
+router.get( "/:id/schedule", authenticate, getTodoSchedule );
 router.patch( "/:id/status", authenticate, updateTodoStatus );
+router.patch( "/:id/move", authenticate, moveTodo );
+router.patch( "/:id/reorder", authenticate, reorderTodo );
+router.post( "/:id/restore", authenticate, restoreTodo );
+router.post( "/:id/duplicate", authenticate, duplicateTodo );
+router.post( "/:id/dependencies", authenticate, addDependency );
+router.delete( "/:id/dependencies/:blockerId", authenticate, removeDependency );
+router.use( "/:id/comments", commentRoutes );
+router.use( "/:id/attachments", attachmentRoutes );
+router.use( "/:id/shares", shareRoutes );
+router.get( "/:id/recurrence", authenticate, previewRecurrence );
+router.post( "/:id/recurrence/skip", authenticate, skipOccurrence );
+router.delete( "/:id/recurrence", authenticate, stopRecurrence );
 router.patch( "/:id", authenticate, upload.single( "image" ), updateTodo );
 router.delete( "/:id", authenticate, deleteTodo );
 
@@ -0,0 +1,35 @@
+import { Router } from "express";
+
+import
+{
+  listWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  updateMember,
+  removeMember,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+} from "../controllers/workspace.controller.js";
+import authenticate from "../middleware/auth.js";
+
+const router = Router();
+
+router.use( authenticate );
+
+router.get( "/", listWorkspaces );
+router.post( "/", createWorkspace );
+router.post( "/invitations/accept", acceptInvitation );
+router.get( "/:id", getWorkspace );
+router.patch( "/:id", updateWorkspace );
+router.delete( "/:id", deleteWorkspace );
+router.patch( "/:id/members/:userId", updateMember );
+router.delete( "/:id/members/:userId", removeMember );
+router.get( "/:id/invitations", listInvitations );
+router.post( "/:id/invitations", createInvitation );
+router.delete( "/:id/invitations/:invitationId", revokeInvitation );
+
+export default router;
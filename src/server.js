@@ -1,9 +1,12 @@
-import dotenv from "dotenv";
+// Load .env before any module reads its configuration.
+import "dotenv/config";
 
 import app from "./app.js";
 import prisma from "./prisma/client.js";
-
-dotenv.config();
+import { getStorage } from "./storage/index.js";
+import { getMailTransport } from "./mail/index.js";
+import { startTrashPurgeSchedule } from "./utils/trash.js";
+import { startFileCleanupSchedule } from "./utils/fileCleanup.js";
 
 const port = Number( process.env.PORT || 3000 );
 
@@ -12,10 +15,23 @@ const startServer = async () =>
   try
   {
     await prisma.$connect();
+    // Fails early when no mail transport is configured.
+    getMailTransport();
+
+    // Files are only served through signed links; refuse to start while the
+    // storage would still hand them out publicly.
+    const storage = getStorage();
+    if ( await storage.ensurePrivate() )
+    {
+      console.log( `🔒 Made the ${ storage.name } storage private; former public file URLs no longer work` );
+    }
+
     app.listen( port, () =>
     {
       console.log( `🚀 Server running on port ${ port }` );
     } );
+    startTrashPurgeSchedule();
+    startFileCleanupSchedule();
   } catch ( error )
   {
     console.error( "Failed to start server", error );
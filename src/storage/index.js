@@ -0,0 +1,43 @@
+import { localDriver } from "./localDriver.js";
+import { supabaseDriver, isSupabaseConfigured } from "./supabaseDriver.js";
+
+/**
+ * @typedef {object} StorageDriver
+ * @property {string} name
+ * @property {( buffer: Buffer, filename: string, contentType: string ) => Promise<{ key: string }>} upload
+ * @property {( key: string, filename: string ) => Promise<{ key: string }>} copy
+ * @property {( key: string ) => string} normalizeKey - canonical form of a key, e.g. of a legacy public URL
+ * @property {( key: string ) => Promise<Buffer>} download
+ * @property {() => Promise<Array<{ key: string, size: number | null, lastModified: Date | null }>>} list
+ * @property {( key: string ) => Promise<void>} remove - rejects when the file could not be deleted
+ * @property {() => Promise<boolean>} ensurePrivate - make stored files unreachable except through the driver; resolves to whether anything had to change
+ *
+ * Files are private: a key identifies a file inside the driver's storage and is
+ * never handed to clients, who get signed links to /api/files instead.
+ */
+
+const DRIVERS = {
+  local: localDriver,
+  supabase: supabaseDriver,
+};
+
+/**
+ * The storage driver selected by STORAGE_DRIVER (`local` or `supabase`).
+ * Defaults to Supabase when it is configured and to the local disk otherwise.
+ * @returns {StorageDriver}
+ */
+export const getStorage = () =>
+{
+  const name = ( process.env.STORAGE_DRIVER ?? "" ).trim().toLowerCase()
+    || ( isSupabaseConfigured() ? "supabase" : "local" );
+  const driver = DRIVERS[ name ];
+
+  if ( !driver )
+  {
+    const error = new Error( `Unknown STORAGE_DRIVER "${ name }". Use one of ${ Object.keys( DRIVERS ).join( ", " ) }` );
+    error.statusCode = 500;
+    throw error;
+  }
+
+  return driver;
+};
@@ -0,0 +1,103 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_UPLOAD_DIR = fileURLToPath( new URL( "../uploads", import.meta.url ) );
+
+/**
+ * Directory the local driver writes to (UPLOAD_DIR, defaults to `src/uploads`).
+ * @returns {string}
+ */
+export const getLocalUploadDir = () =>
+  ( process.env.UPLOAD_DIR ? path.resolve( process.env.UPLOAD_DIR ) : DEFAULT_UPLOAD_DIR );
+
+/**
+ * Resolve a storage key (a filename, or a `/uploads/...` URL stored before
+ * files became private) to a file inside the upload directory. Only the last
+ * path segment is used, so a key cannot point outside of it.
+ */
+const resolveStoredFile = ( key ) =>
+{
+  const pathname = key.startsWith( "http" ) ? new URL( key ).pathname : key;
+  return path.join( getLocalUploadDir(), path.basename( decodeURIComponent( pathname ) ) );
+};
+
+/** @type {import("./index.js").StorageDriver} */
+export const localDriver = {
+  name: "local",
+
+  normalizeKey: ( key ) => path.basename( resolveStoredFile( key ) ),
+
+  // UPLOAD_DIR is not served statically, so there is nothing to lock down.
+  ensurePrivate: async () => false,
+
+  upload: async ( buffer, filename ) =>
+  {
+    await fs.mkdir( getLocalUploadDir(), { recursive: true } );
+    await fs.writeFile( path.join( getLocalUploadDir(), filename ), buffer, { flag: "wx" } );
+    return { key: filename };
+  },
+
+  copy: async ( key, filename ) =>
+  {
+    await fs.copyFile( resolveStoredFile( key ), path.join( getLocalUploadDir(), filename ) );
+    return { key: filename };
+  },
+
+  download: async ( key ) =>
+  {
+    try
+    {
+      return await fs.readFile( resolveStoredFile( key ) );
+    } catch ( error )
+    {
+      if ( error.code === "ENOENT" )
+      {
+        const notFound = new Error( "Stored file not found" );
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      throw error;
+    }
+  },
+
+  list: async () =>
+  {
+    let entries;
+    try
+    {
+      entries = await fs.readdir( getLocalUploadDir(), { withFileTypes: true } );
+    } catch ( error )
+    {
+      if ( error.code === "ENOENT" )
+      {
+        return [];
+      }
+      throw error;
+    }
+
+    const files = [];
+    // Dotfiles (e.g. .gitkeep) are not uploads.
+    for ( const entry of entries.filter( ( item ) => item.isFile() && !item.name.startsWith( "." ) ) )
+    {
+      const stats = await fs.stat( path.join( getLocalUploadDir(), entry.name ) );
+      files.push( { key: entry.name, size: stats.size, lastModified: stats.mtime } );
+    }
+    return files;
+  },
+
+  remove: async ( key ) =>
+  {
+    try
+    {
+      await fs.unlink( resolveStoredFile( key ) );
+    } catch ( error )
+    {
+      // Deletion is a cleanup operation; a missing file is already gone.
+      if ( error.code !== "ENOENT" )
+      {
+        throw error;
+      }
+    }
+  },
+};
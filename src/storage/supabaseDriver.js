@@ -0,0 +1,281 @@
+import { createClient } from "@supabase/supabase-js";
+
+const BUCKET_NAME = "images";
+
+let supabaseClient = null;
+
+export const getSupabaseClient = () =>
+{
+    if ( supabaseClient )
+    {
+        return supabaseClient;
+    }
+
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if ( !supabaseUrl || !supabaseServiceKey )
+    {
+        const error = new Error(
+            "Missing Supabase configuration. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables."
+        );
+        error.statusCode = 500;
+        throw error;
+    }
+
+    supabaseClient = createClient( supabaseUrl, supabaseServiceKey, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false,
+        },
+    } );
+
+    return supabaseClient;
+};
+
+/**
+ * Upload a file buffer to Supabase Storage. The bucket is expected to be
+ * private; files are read back through the service role (see downloadFromSupabase).
+ * @param {Buffer} buffer - File buffer
+ * @param {string} filename - Unique filename
+ * @param {string} contentType - MIME type (e.g., "image/png")
+ * @returns {Promise<{ key: string }>} Path of the uploaded file in the bucket
+ */
+export const uploadToSupabase = async ( buffer, filename, contentType ) =>
+{
+    try
+    {
+        const supabase = getSupabaseClient();
+        const { data, error } = await supabase.storage
+            .from( BUCKET_NAME )
+            .upload( filename, buffer, {
+                contentType,
+                upsert: false,
+            } );
+
+        if ( error )
+        {
+            const uploadError = new Error( `Failed to upload to Supabase: ${ error.message }` );
+            uploadError.statusCode = 500;
+            throw uploadError;
+        }
+
+        return { key: data.path };
+    } catch ( error )
+    {
+        // Provide a clearer error message if Supabase is not configured
+        if ( error.message?.includes( "Missing Supabase configuration" ) )
+        {
+            const configError = new Error(
+                "Image uploads require Supabase configuration. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables in your .env file."
+            );
+            configError.statusCode = 500;
+            throw configError;
+        }
+        // Re-throw other errors as-is
+        throw error;
+    }
+};
+
+/**
+ * Resolve the path of a file inside the bucket
+ * @param {string} filePath - Path in the bucket, or the public URL stored before files became private
+ * @returns {string} Path to the file in the bucket
+ */
+const extractBucketPath = ( filePath ) =>
+{
+    if ( !filePath.startsWith( "http" ) )
+    {
+        return filePath;
+    }
+
+    const url = new URL( filePath );
+    // Extract path after bucket name (e.g., /images/filename.jpg -> filename.jpg)
+    const pathParts = url.pathname.split( "/" );
+    const bucketIndex = pathParts.indexOf( BUCKET_NAME );
+    if ( bucketIndex >= 0 && bucketIndex < pathParts.length - 1 )
+    {
+        return pathParts.slice( bucketIndex + 1 ).join( "/" );
+    }
+
+    // If we can't parse, try to extract from the end
+    return pathParts[ pathParts.length - 1 ];
+};
+
+/**
+ * Copy a file inside Supabase Storage
+ * @param {string} filePath - Path in the bucket (or legacy public URL) of the source file
+ * @param {string} filename - Unique filename for the copy
+ * @returns {Promise<{ key: string }>} Path of the copy in the bucket
+ */
+export const copyInSupabase = async ( filePath, filename ) =>
+{
+    const supabase = getSupabaseClient();
+    const { data, error } = await supabase.storage
+        .from( BUCKET_NAME )
+        .copy( extractBucketPath( filePath ), filename );
+
+    if ( error )
+    {
+        const copyError = new Error( `Failed to copy file in Supabase: ${ error.message }` );
+        copyError.statusCode = 500;
+        throw copyError;
+    }
+
+    return { key: data?.path ?? filename };
+};
+
+/**
+ * Download a file from Supabase Storage
+ * @param {string} filePath - Path in the bucket (or legacy public URL)
+ * @returns {Promise<Buffer>} File content
+ */
+export const downloadFromSupabase = async ( filePath ) =>
+{
+    const supabase = getSupabaseClient();
+    const { data, error } = await supabase.storage
+        .from( BUCKET_NAME )
+        .download( extractBucketPath( filePath ) );
+
+    if ( error )
+    {
+        const downloadError = new Error( `Failed to download file from Supabase: ${ error.message }` );
+        downloadError.statusCode = 500;
+        throw downloadError;
+    }
+
+    return Buffer.from( await data.arrayBuffer() );
+};
+
+/**
+ * Delete a file from Supabase Storage
+ * @param {string} filePath - Path to the file in the bucket (extracted from URL or stored path)
+ * @returns {Promise<void>} Rejects when the deletion fails, so that it can be retried
+ */
+export const deleteFromSupabase = async ( filePath ) =>
+{
+    try
+    {
+        const path = extractBucketPath( filePath );
+
+        const supabase = getSupabaseClient();
+        const { error } = await supabase.storage
+            .from( BUCKET_NAME )
+            .remove( [ path ] );
+
+        if ( error )
+        {
+            const deleteError = new Error( `Failed to delete file from Supabase: ${ error.message }` );
+            deleteError.statusCode = 500;
+            throw deleteError;
+        }
+    } catch ( error )
+    {
+        // Silently fail if Supabase is not configured - deletion is a cleanup operation
+        if ( error.message?.includes( "Missing Supabase configuration" ) )
+        {
+            console.warn( "Supabase not configured, skipping image deletion" );
+            return;
+        }
+        // Re-throw other errors
+        throw error;
+    }
+};
+
+
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * List the files at the root of the bucket, where uploads are stored
+ * @returns {Promise<Array<{ key: string, size: number | null, lastModified: Date | null }>>}
+ */
+export const listSupabaseFiles = async () =>
+{
+    const supabase = getSupabaseClient();
+    const files = [];
+
+    for ( let offset = 0; ; offset += LIST_PAGE_SIZE )
+    {
+        const { data, error } = await supabase.storage
+            .from( BUCKET_NAME )
+            .list( "", { limit: LIST_PAGE_SIZE, offset, sortBy: { column: "name", order: "asc" } } );
+
+        if ( error )
+        {
+            const listError = new Error( `Failed to list files in Supabase: ${ error.message }` );
+            listError.statusCode = 500;
+            throw listError;
+        }
+
+        // Folders are returned without an id.
+        for ( const entry of data.filter( ( item ) => item.id ) )
+        {
+            const timestamp = entry.updated_at ?? entry.created_at;
+            files.push( {
+                key: entry.name,
+                size: entry.metadata?.size ?? null,
+                lastModified: timestamp ? new Date( timestamp ) : null,
+            } );
+        }
+
+        if ( data.length < LIST_PAGE_SIZE )
+        {
+            return files;
+        }
+    }
+};
+
+/**
+ * Make sure the bucket is private. It used to be public, and objects uploaded
+ * back then stay reachable at their public URLs for as long as it is.
+ * @returns {Promise<boolean>} Whether the bucket had to be switched to private
+ */
+export const ensurePrivateSupabaseBucket = async () =>
+{
+    const supabase = getSupabaseClient();
+    const { data: bucket, error } = await supabase.storage.getBucket( BUCKET_NAME );
+
+    if ( error )
+    {
+        const bucketError = new Error( `Failed to read the Supabase bucket "${ BUCKET_NAME }": ${ error.message }` );
+        bucketError.statusCode = 500;
+        throw bucketError;
+    }
+
+    if ( !bucket.public )
+    {
+        return false;
+    }
+
+    const { error: updateError } = await supabase.storage.updateBucket( BUCKET_NAME, {
+        public: false,
+        fileSizeLimit: bucket.file_size_limit ?? null,
+        allowedMimeTypes: bucket.allowed_mime_types ?? null,
+    } );
+
+    if ( updateError )
+    {
+        const privateError = new Error(
+            `Failed to make the Supabase bucket "${ BUCKET_NAME }" private: ${ updateError.message }`
+        );
+        privateError.statusCode = 500;
+        throw privateError;
+    }
+
+    return true;
+};
+
+export const isSupabaseConfigured = () =>
+    Boolean( process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY );
+
+/** @type {import("./index.js").StorageDriver} */
+export const supabaseDriver = {
+    name: "supabase",
+    normalizeKey: extractBucketPath,
+    upload: uploadToSupabase,
+    copy: copyInSupabase,
+    download: downloadFromSupabase,
+    list: listSupabaseFiles,
+    remove: deleteFromSupabase,
+    ensurePrivate: ensurePrivateSupabaseBucket,
+};
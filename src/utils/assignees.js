@@ -0,0 +1,106 @@
+import { TimelineEventType } from "@prisma/client";
+
+import { createTimelineEvent } from "./timeline.js";
+import { parseEntityId } from "./validation.js";
+import { notifyUsers } from "../events/todoEvents.js";
+
+/**
+ * Parse the `assigneeId` of a request body; `null` (or an empty multipart
+ * field) unassigns the todo.
+ * @returns {number | null | undefined} `undefined` when the field was not provided.
+ */
+export const parseAssigneeId = ( value ) =>
+{
+  if ( typeof value === "undefined" )
+  {
+    return undefined;
+  }
+
+  if ( value === null || value === "" || value === "null" )
+  {
+    return null;
+  }
+
+  return parseEntityId( value, "Assignee" );
+};
+
+/**
+ * Load the user a todo is being assigned to; any registered user can be
+ * assigned, whether or not they belong to the todo's workspace.
+ * @returns {Promise<{ id: number, name: string | null, email: string } | null>}
+ */
+export const findAssignee = async ( client, assigneeId ) =>
+{
+  if ( assigneeId === null )
+  {
+    return null;
+  }
+
+  const assignee = await client.user.findUnique( {
+    where: { id: assigneeId },
+    select: { id: true, name: true, email: true },
+  } );
+
+  if ( !assignee )
+  {
+    const error = new Error( "Assignee not found" );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return assignee;
+};
+
+const describeUser = ( user ) => user.name || user.email;
+
+/**
+ * Write the ASSIGNED / UNASSIGNED timeline event for a change of assignee.
+ * @param {import("@prisma/client").Prisma.TransactionClient} client
+ * @param {{
+ *   todoId: number;
+ *   previous: { name: string | null, email: string } | null;
+ *   next: { name: string | null, email: string } | null;
+ *   userId: number;
+ * }} change
+ */
+export const recordAssigneeChange = ( client, { todoId, previous, next, userId } ) =>
+{
+  let message;
+  if ( !next )
+  {
+    message = `Unassigned from ${ describeUser( previous ) }`;
+  } else if ( previous )
+  {
+    message = `Reassigned from ${ describeUser( previous ) } to ${ describeUser( next ) }`;
+  } else
+  {
+    message = `Assigned to ${ describeUser( next ) }`;
+  }
+
+  return createTimelineEvent( {
+    todoId,
+    type: next ? TimelineEventType.ASSIGNED : TimelineEventType.UNASSIGNED,
+    message,
+    actorUserId: userId,
+    client,
+  } );
+};
+
+/**
+ * Tell the new and the previous assignee of a todo about the change, whether
+ * or not they are members of its workspace.
+ * @param {number | null} previousAssigneeId
+ * @param {object} todo normalized todo after the change
+ */
+export const notifyAssigneeChange = ( previousAssigneeId, todo ) =>
+{
+  if ( todo.assigneeId )
+  {
+    notifyUsers( [ todo.assigneeId ], { type: "assigned", todos: [ todo ] } );
+  }
+
+  if ( previousAssigneeId && previousAssigneeId !== todo.assigneeId )
+  {
+    notifyUsers( [ previousAssigneeId ], { type: "unassigned", todoId: todo.id } );
+  }
+};
@@ -0,0 +1,141 @@
+import crypto from "crypto";
+
+import prisma from "../prisma/client.js";
+import { getStorage } from "../storage/index.js";
+import { resolveUploadMimeType } from "./fileType.js";
+import { isProcessableImage, processImage } from "./imageProcessing.js";
+import { signedFileUrl } from "./fileLinks.js";
+import { removeStoredFiles } from "./fileCleanup.js";
+
+export const isImageMimeType = ( mimeType ) => typeof mimeType === "string" && mimeType.startsWith( "image/" );
+
+const thumbnailKeys = ( attachment ) => [ attachment.smallKey, attachment.mediumKey ].filter( Boolean );
+
+/**
+ * API representation of an attachment. Stored files are private: `url` and
+ * `thumbnails` are fresh signed links (see signedFileUrl); `thumbnails` is
+ * `null` for files without them (non-images, or images stored before
+ * thumbnails were generated).
+ */
+export const sanitizeAttachment = ( attachment ) => ( {
+  id: attachment.id,
+  url: signedFileUrl( attachment.id ),
+  filename: attachment.filename,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  width: attachment.width ?? null,
+  height: attachment.height ?? null,
+  thumbnails: attachment.smallKey && attachment.mediumKey
+    ? { small: signedFileUrl( attachment.id, "small" ), medium: signedFileUrl( attachment.id, "medium" ) }
+    : null,
+  uploaderId: attachment.uploaderId,
+  createdAt: attachment.createdAt,
+} );
+
+/**
+ * The todo's image: its oldest image attachment.
+ * @param {Array<{ mimeType: string }>} attachments - ordered by creation
+ */
+export const findTodoImage = ( attachments = [] ) =>
+  attachments.find( ( attachment ) => isImageMimeType( attachment.mimeType ) ) ?? null;
+
+// The UUID keeps keys apart for files of the same name stored in the same
+// millisecond, e.g. by one multi-file upload, and for their thumbnails.
+const uniqueFilename = ( originalName, infix = "" ) =>
+  `${ Date.now() }-${ crypto.randomUUID() }-${ infix }${ originalName }`.replace( /[^a-zA-Z0-9._-]/g, "_" );
+
+const thumbnailFilename = ( storedName, size ) =>
+  `${ storedName.replace( /\.[^.]*$/, "" ) }-${ size }.webp`;
+
+/**
+ * Store an uploaded (multer) file. Its type is taken from its content, not
+ * from the client; images are stripped of their metadata and get thumbnails.
+ * @returns {Promise<{
+ *   storageKey: string, filename: string, mimeType: string, size: number,
+ *   width?: number, height?: number, smallKey?: string, mediumKey?: string
+ * }>} the data of the attachment row to create
+ */
+export const storeUploadedFile = async ( file ) =>
+{
+  const filename = file.originalname || "file";
+  const mimeType = resolveUploadMimeType( file );
+  const storage = getStorage();
+  const storedName = uniqueFilename( filename );
+
+  if ( !isProcessableImage( mimeType ) )
+  {
+    const { key } = await storage.upload( file.buffer, storedName, mimeType );
+    return { storageKey: key, filename, mimeType, size: file.buffer.length };
+  }
+
+  const image = await processImage( file.buffer, mimeType );
+  const { key } = await storage.upload( image.buffer, storedName, mimeType );
+  const thumbnails = {};
+  try
+  {
+    for ( const [ size, buffer ] of Object.entries( image.thumbnails ) )
+    {
+      thumbnails[ size ] = ( await storage.upload( buffer, thumbnailFilename( storedName, size ), "image/webp" ) ).key;
+    }
+  } catch ( error )
+  {
+    await removeStoredFiles( [ key, ...Object.values( thumbnails ) ] );
+    throw error;
+  }
+
+  return {
+    storageKey: key,
+    filename,
+    mimeType,
+    size: image.buffer.length,
+    width: image.width,
+    height: image.height,
+    smallKey: thumbnails.small,
+    mediumKey: thumbnails.medium,
+  };
+};
+
+/**
+ * Copy the stored file of an attachment along with its thumbnails.
+ * @returns {Promise<{ storageKey: string, smallKey: string | null, mediumKey: string | null }>}
+ */
+export const copyStoredFile = async ( attachment ) =>
+{
+  const storage = getStorage();
+  const copy = async ( key ) =>
+    ( key ? ( await storage.copy( key, uniqueFilename( key.split( "/" ).pop(), "copy-" ) ) ).key : null );
+
+  return {
+    storageKey: await copy( attachment.storageKey ),
+    smallKey: await copy( attachment.smallKey ),
+    mediumKey: await copy( attachment.mediumKey ),
+  };
+};
+
+/**
+ * Delete the stored files (and thumbnails) of attachments whose rows are gone,
+ * unless another attachment still references them: duplicated todos may share
+ * the same file. Deletions that fail are queued for retry, so this never throws
+ * because of storage.
+ * @param {Array<{ storageKey: string, smallKey?: string | null, mediumKey?: string | null }>} attachments
+ */
+export const deleteUnusedFiles = async ( attachments ) =>
+{
+  const byKey = new Map( attachments.map( ( attachment ) => [ attachment.storageKey, attachment ] ) );
+
+  for ( const attachment of byKey.values() )
+  {
+    try
+    {
+      const references = await prisma.attachment.count( { where: { storageKey: attachment.storageKey } } );
+      if ( references === 0 )
+      {
+        await removeStoredFiles( [ attachment.storageKey, ...thumbnailKeys( attachment ) ] );
+      }
+    } catch ( error )
+    {
+      // The reconciliation command still finds the files as orphans.
+      console.error( "Failed to check stored file references", { storageKey: attachment.storageKey, error } );
+    }
+  }
+};
@@ -0,0 +1,136 @@
+import { TimelineEventType } from "@prisma/client";
+
+import { createTimelineEvent } from "./timeline.js";
+
+const quoteTitles = ( todos ) => todos.map( ( todo ) => `"${ todo.title }"` ).join( ", " );
+
+/**
+ * Live blockers of a todo that are not DONE yet.
+ * @returns {Promise<Array<{ id: number, title: string, status: string }>>}
+ */
+export const findOpenBlockers = async ( client, todoId ) =>
+{
+  const dependencies = await client.todoDependency.findMany( {
+    where: {
+      blockedId: todoId,
+      blocker: { deletedAt: null, status: { not: "DONE" } },
+    },
+    select: { blocker: { select: { id: true, title: true, status: true } } },
+  } );
+  return dependencies.map( ( dependency ) => dependency.blocker );
+};
+
+/**
+ * Reject starting or finishing a todo while one of its blockers is still open.
+ * @param {{ id: number, title: string }} todo
+ * @param {string} status - the requested status
+ * @param {boolean} force - skip the check
+ */
+export const assertNotBlocked = async ( client, todo, status, force ) =>
+{
+  if ( force || status === "TODO" )
+  {
+    return;
+  }
+
+  const blockers = await findOpenBlockers( client, todo.id );
+  if ( blockers.length > 0 )
+  {
+    const error = new Error(
+      `"${ todo.title }" is blocked by ${ quoteTitles( blockers ) }. Complete the blockers first or pass force: true`
+    );
+    error.statusCode = 409;
+    error.errors = { blockedBy: blockers };
+    throw error;
+  }
+};
+
+/**
+ * Whether making `blockerId` block `blockedId` would close a cycle, i.e.
+ * `blockedId` already blocks `blockerId` directly or transitively.
+ */
+export const wouldCreateDependencyCycle = async ( client, blockerId, blockedId ) =>
+{
+  if ( blockerId === blockedId )
+  {
+    return true;
+  }
+
+  const visited = new Set( [ blockedId ] );
+  let frontier = [ blockedId ];
+
+  while ( frontier.length > 0 )
+  {
+    const edges = await client.todoDependency.findMany( {
+      where: { blockerId: { in: frontier } },
+      select: { blockedId: true },
+    } );
+
+    frontier = [];
+    for ( const { blockedId: nextId } of edges )
+    {
+      if ( nextId === blockerId )
+      {
+        return true;
+      }
+      if ( !visited.has( nextId ) )
+      {
+        visited.add( nextId );
+        frontier.push( nextId );
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Record an UNBLOCKED timeline event on every open dependent of the given
+ * (just completed) todos whose blockers are now all done.
+ * @param {number[]} completedIds
+ * @returns {Promise<number[]>} ids of the unblocked todos
+ */
+export const notifyUnblockedDependents = async ( client, completedIds, userId ) =>
+{
+  if ( completedIds.length === 0 )
+  {
+    return [];
+  }
+
+  const dependencies = await client.todoDependency.findMany( {
+    where: {
+      blockerId: { in: completedIds },
+      blocked: { deletedAt: null, status: { not: "DONE" } },
+    },
+    select: {
+      blockedId: true,
+      blocker: { select: { id: true, title: true } },
+    },
+  } );
+
+  const completedBlockers = new Map();
+  dependencies.forEach( ( { blockedId, blocker } ) =>
+  {
+    completedBlockers.set( blockedId, [ ...( completedBlockers.get( blockedId ) ?? [] ), blocker ] );
+  } );
+
+  const unblockedIds = [];
+  for ( const [ blockedId, blockers ] of completedBlockers.entries() )
+  {
+    if ( ( await findOpenBlockers( client, blockedId ) ).length > 0 )
+    {
+      continue;
+    }
+
+    await createTimelineEvent( {
+      todoId: blockedId,
+      type: TimelineEventType.UNBLOCKED,
+      message: `Unblocked: ${ quoteTitles( blockers ) } completed`,
+      actorUserId: userId,
+      client,
+    } );
+    unblockedIds.push( blockedId );
+  }
+
+  return unblockedIds;
+};
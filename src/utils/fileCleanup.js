@@ -0,0 +1,191 @@
+import prisma from "../prisma/client.js";
+import { getStorage } from "../storage/index.js";
+
+const RETRY_INTERVAL = 15 * 60 * 1000; // 15 minutes
+const FIRST_RETRY_DELAY = 60 * 1000;
+const MAX_RETRY_DELAY = 24 * 60 * 60 * 1000;
+const RETRY_BATCH_SIZE = 100;
+const DEFAULT_RECONCILE_GRACE_HOURS = 24;
+
+const retryDelay = ( attempts ) => Math.min( FIRST_RETRY_DELAY * 2 ** attempts, MAX_RETRY_DELAY );
+
+const describeError = ( error ) => String( error?.message ?? error ).slice( 0, 500 );
+
+/**
+ * Remember a stored file whose deletion failed so that it is retried later
+ * (see retryPendingFileDeletions).
+ * @param {string} storageKey
+ * @param {unknown} error - the failure, recorded for diagnosis
+ */
+export const queueFileDeletion = async ( storageKey, error ) =>
+{
+  try
+  {
+    await prisma.pendingFileDeletion.upsert( {
+      where: { storageKey },
+      create: {
+        storageKey,
+        lastError: describeError( error ),
+        nextAttemptAt: new Date( Date.now() + retryDelay( 0 ) ),
+      },
+      update: { lastError: describeError( error ) },
+    } );
+  } catch ( queueError )
+  {
+    // The reconciliation command still finds the file as an orphan.
+    console.error( "Failed to queue stored file deletion", { storageKey, error, queueError } );
+  }
+};
+
+/**
+ * Delete stored files, queueing the ones that cannot be deleted right now.
+ * @param {string[]} storageKeys
+ * @returns {Promise<string[]>} keys of the files deleted
+ */
+export const removeStoredFiles = async ( storageKeys ) =>
+{
+  const storage = getStorage();
+  const removed = [];
+
+  for ( const storageKey of storageKeys )
+  {
+    try
+    {
+      await storage.remove( storageKey );
+      removed.push( storageKey );
+    } catch ( error )
+    {
+      console.error( "Failed to delete stored file, queued for retry", { storageKey, error } );
+      await queueFileDeletion( storageKey, error );
+    }
+  }
+
+  return removed;
+};
+
+const isStorageKeyReferenced = async ( storageKey ) =>
+  ( await prisma.attachment.count( {
+    where: { OR: [ { storageKey }, { smallKey: storageKey }, { mediumKey: storageKey } ] },
+  } ) ) > 0;
+
+/**
+ * Retry the queued deletions that are due, backing off exponentially (up to a
+ * day between attempts) for files that still cannot be deleted.
+ * @returns {Promise<{ deleted: number, failed: number }>}
+ */
+export const retryPendingFileDeletions = async () =>
+{
+  const storage = getStorage();
+  const due = await prisma.pendingFileDeletion.findMany( {
+    where: { nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: "asc" },
+    take: RETRY_BATCH_SIZE,
+  } );
+  const result = { deleted: 0, failed: 0 };
+
+  for ( const entry of due )
+  {
+    try
+    {
+      // A file referenced again (e.g. restored attachment rows) must be kept.
+      if ( !await isStorageKeyReferenced( entry.storageKey ) )
+      {
+        await storage.remove( entry.storageKey );
+        result.deleted += 1;
+      }
+      await prisma.pendingFileDeletion.delete( { where: { id: entry.id } } );
+    } catch ( error )
+    {
+      result.failed += 1;
+      await prisma.pendingFileDeletion.update( {
+        where: { id: entry.id },
+        data: {
+          attempts: { increment: 1 },
+          lastError: describeError( error ),
+          nextAttemptAt: new Date( Date.now() + retryDelay( entry.attempts + 1 ) ),
+        },
+      } );
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Periodically retry failed file deletions while the server is running.
+ * @returns {NodeJS.Timeout}
+ */
+export const startFileCleanupSchedule = () =>
+{
+  const run = async () =>
+  {
+    try
+    {
+      const { deleted, failed } = await retryPendingFileDeletions();
+      if ( deleted > 0 || failed > 0 )
+      {
+        console.log( `🧹 Retried queued file deletions: ${ deleted } deleted, ${ failed } still failing` );
+      }
+    } catch ( error )
+    {
+      console.error( "Failed to retry queued file deletions", error );
+    }
+  };
+
+  run();
+  const timer = setInterval( run, RETRY_INTERVAL );
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Compare the files of the current storage driver with the files referenced
+ * by attachments. Unreferenced files older than `graceHours` are orphans
+ * (files younger than that may belong to an upload still in progress);
+ * referenced files that are not in storage are reported as missing.
+ * Nothing is deleted unless `dryRun` is false.
+ * @param {{ dryRun?: boolean, graceHours?: number }} [options]
+ */
+export const reconcileStorage = async ( { dryRun = true, graceHours = DEFAULT_RECONCILE_GRACE_HOURS } = {} ) =>
+{
+  const storage = getStorage();
+  const attachments = await prisma.attachment.findMany( {
+    select: { storageKey: true, smallKey: true, mediumKey: true },
+  } );
+  const referencedKeys = new Set( attachments
+    .flatMap( ( attachment ) => [ attachment.storageKey, attachment.smallKey, attachment.mediumKey ] )
+    .filter( Boolean )
+    .map( ( key ) => storage.normalizeKey( key ) ) );
+
+  const files = await storage.list();
+  const storedKeys = new Set( files.map( ( file ) => file.key ) );
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+
+  const unreferenced = files.filter( ( file ) => !referencedKeys.has( file.key ) );
+  const orphans = unreferenced.filter( ( file ) => !file.lastModified || file.lastModified.getTime() < cutoff );
+
+  const report = {
+    driver: storage.name,
+    dryRun,
+    graceHours,
+    scanned: files.length,
+    referenced: referencedKeys.size,
+    orphans: orphans.map( ( { key, size, lastModified } ) => ( { key, size, lastModified } ) ),
+    orphanBytes: orphans.reduce( ( total, file ) => total + ( file.size ?? 0 ), 0 ),
+    skippedRecent: unreferenced.length - orphans.length,
+    missing: [ ...referencedKeys ].filter( ( key ) => !storedKeys.has( key ) ),
+    deleted: 0,
+    failed: 0,
+  };
+
+  if ( !dryRun )
+  {
+    // Failures are queued for retry by removeStoredFiles.
+    const removedKeys = await removeStoredFiles( orphans.map( ( file ) => file.key ) );
+    await prisma.pendingFileDeletion.deleteMany( { where: { storageKey: { in: removedKeys } } } );
+    report.deleted = removedKeys.length;
+    report.failed = orphans.length - removedKeys.length;
+  }
+
+  return report;
+};
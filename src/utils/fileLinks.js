@@ -0,0 +1,70 @@
+import crypto from "crypto";
+
+const DEFAULT_TTL_SECONDS = 15 * 60;
+// Expiries are rounded up to this step so that links stay identical (and
+// cacheable by clients) across requests made within the same window.
+const EXPIRY_STEP_SECONDS = 5 * 60;
+
+export const FILE_VARIANTS = [ "original", "small", "medium" ];
+
+export const FILE_ROUTE = "/api/files";
+
+const getSigningSecret = () =>
+{
+  const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+  if ( !secret )
+  {
+    throw new Error( "FILE_URL_SECRET or JWT_SECRET must be configured" );
+  }
+  return secret;
+};
+
+const readTtlSeconds = () =>
+{
+  const value = Number( process.env.FILE_URL_TTL_SECONDS );
+  return Number.isInteger( value ) && value > 0 ? value : DEFAULT_TTL_SECONDS;
+};
+
+const computeSignature = ( attachmentId, variant, expires ) =>
+  crypto
+    .createHmac( "sha256", getSigningSecret() )
+    .update( `${ attachmentId }:${ variant }:${ expires }` )
+    .digest( "base64url" );
+
+/**
+ * Short-lived link to an attachment's file (or one of its thumbnails) served
+ * by /api/files. The signature is the authorization, so the link works where
+ * no token can be sent (e.g. an `<img>` tag) until FILE_URL_TTL_SECONDS pass.
+ * @param {number} attachmentId
+ * @param {"original" | "small" | "medium"} [variant]
+ * @returns {string}
+ */
+export const signedFileUrl = ( attachmentId, variant = "original" ) =>
+{
+  const now = Math.floor( Date.now() / 1000 );
+  const expires = Math.ceil( ( now + readTtlSeconds() ) / EXPIRY_STEP_SECONDS ) * EXPIRY_STEP_SECONDS;
+  const query = new URLSearchParams( {
+    ...( variant === "original" ? {} : { variant } ),
+    expires: String( expires ),
+    signature: computeSignature( attachmentId, variant, expires ),
+  } );
+
+  return `${ ( process.env.PUBLIC_BASE_URL ?? "" ).replace( /\/+$/, "" ) }${ FILE_ROUTE }/${ attachmentId }?${ query }`;
+};
+
+/**
+ * Whether a signed link is authentic and not expired.
+ * @param {{ attachmentId: number, variant: string, expires: unknown, signature: unknown }} link
+ */
+export const verifyFileSignature = ( { attachmentId, variant, expires, signature } ) =>
+{
+  const expiresAt = Number( expires );
+  if ( typeof signature !== "string" || !Number.isInteger( expiresAt ) || expiresAt * 1000 < Date.now() )
+  {
+    return false;
+  }
+
+  const expected = Buffer.from( computeSignature( attachmentId, variant, expiresAt ) );
+  const received = Buffer.from( signature );
+  return expected.length === received.length && crypto.timingSafeEqual( expected, received );
+};
@@ -0,0 +1,174 @@
+const DEFAULT_ALLOWED_TYPES = [
+  "image/*",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "text/markdown",
+  "application/zip",
+  "application/x-zip-compressed",
+  "application/gzip",
+  "application/x-tar",
+  "application/x-7z-compressed",
+];
+
+// Declared types that name the same format as the canonical type we detect.
+const MIME_ALIASES = {
+  "application/x-zip-compressed": "application/zip",
+  "application/x-gzip": "application/gzip",
+  "image/jpg": "image/jpeg",
+  "image/pjpeg": "image/jpeg",
+};
+
+const TEXT_SAMPLE_SIZE = 8192;
+
+/**
+ * MIME types accepted for uploads, configured through UPLOAD_ALLOWED_TYPES as
+ * a comma-separated list; `type/*` accepts a whole family.
+ * @returns {string[]}
+ */
+export const getAllowedMimeTypes = () =>
+{
+  const configured = ( process.env.UPLOAD_ALLOWED_TYPES ?? "" )
+    .split( "," )
+    .map( ( value ) => value.trim().toLowerCase() )
+    .filter( Boolean );
+  return configured.length > 0 ? configured : DEFAULT_ALLOWED_TYPES;
+};
+
+export const isAllowedMimeType = ( mimeType ) =>
+  getAllowedMimeTypes().some( ( pattern ) => ( pattern.endsWith( "/*" )
+    ? mimeType.startsWith( pattern.slice( 0, -1 ) )
+    : mimeType === pattern ) );
+
+const startsWith = ( buffer, bytes, offset = 0 ) =>
+  buffer.length >= offset + bytes.length && bytes.every( ( byte, index ) => buffer[ offset + index ] === byte );
+
+const ascii = ( value ) => [ ...value ].map( ( character ) => character.charCodeAt( 0 ) );
+
+const SIGNATURES = [
+  { mimeType: "image/png", bytes: [ 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a ] },
+  { mimeType: "image/jpeg", bytes: [ 0xff, 0xd8, 0xff ] },
+  { mimeType: "image/gif", bytes: ascii( "GIF87a" ) },
+  { mimeType: "image/gif", bytes: ascii( "GIF89a" ) },
+  { mimeType: "image/tiff", bytes: [ 0x49, 0x49, 0x2a, 0x00 ] },
+  { mimeType: "image/tiff", bytes: [ 0x4d, 0x4d, 0x00, 0x2a ] },
+  { mimeType: "application/pdf", bytes: ascii( "%PDF-" ) },
+  { mimeType: "application/zip", bytes: [ 0x50, 0x4b, 0x03, 0x04 ] },
+  { mimeType: "application/zip", bytes: [ 0x50, 0x4b, 0x05, 0x06 ] },
+  { mimeType: "application/gzip", bytes: [ 0x1f, 0x8b ] },
+  { mimeType: "application/x-7z-compressed", bytes: [ 0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c ] },
+  { mimeType: "application/x-tar", bytes: ascii( "ustar" ), offset: 257 },
+];
+
+// Sizes of the DIB headers that follow the 14-byte BITMAPFILEHEADER
+// (BITMAPCOREHEADER, BITMAPINFOHEADER and its V2 to V5 successors).
+const BMP_DIB_HEADER_SIZES = [ 12, 40, 52, 56, 64, 108, 124 ];
+
+// "BM" alone also starts plenty of text files, so the rest of the file
+// header has to agree: the file size, zero reserved bytes and a known DIB header.
+const isBmp = ( buffer ) =>
+  buffer.length >= 18
+  && startsWith( buffer, ascii( "BM" ) )
+  && buffer.readUInt32LE( 2 ) === buffer.length
+  && buffer.readUInt32LE( 6 ) === 0
+  && BMP_DIB_HEADER_SIZES.includes( buffer.readUInt32LE( 14 ) );
+
+const detectTextType = ( buffer ) =>
+{
+  const sample = buffer.subarray( 0, TEXT_SAMPLE_SIZE );
+  if ( sample.includes( 0 ) )
+  {
+    return null;
+  }
+
+  try
+  {
+    // A multi-byte character may be cut at the end of the sample.
+    const text = new TextDecoder( "utf-8", { fatal: true } ).decode( sample, { stream: sample.length < buffer.length } );
+    return /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test( text ) ? "image/svg+xml" : "text/plain";
+  } catch
+  {
+    return null;
+  }
+};
+
+/**
+ * Detect the type of a file from its content (magic bytes). UTF-8 text
+ * without a signature is reported as text/plain (or image/svg+xml).
+ * @param {Buffer} buffer
+ * @returns {string | null} `null` when the format is not recognised
+ */
+export const detectMimeType = ( buffer ) =>
+{
+  const signature = SIGNATURES.find( ( { bytes, offset } ) => startsWith( buffer, bytes, offset ) );
+  if ( signature )
+  {
+    return signature.mimeType;
+  }
+
+  if ( isBmp( buffer ) )
+  {
+    return "image/bmp";
+  }
+
+  if ( startsWith( buffer, ascii( "RIFF" ) ) && startsWith( buffer, ascii( "WEBP" ), 8 ) )
+  {
+    return "image/webp";
+  }
+
+  if ( startsWith( buffer, ascii( "ftyp" ), 4 ) )
+  {
+    const brand = buffer.subarray( 8, 12 ).toString( "ascii" );
+    if ( [ "avif", "avis" ].includes( brand ) )
+    {
+      return "image/avif";
+    }
+    if ( [ "heic", "heix", "mif1", "msf1" ].includes( brand ) )
+    {
+      return "image/heic";
+    }
+  }
+
+  return detectTextType( buffer );
+};
+
+/**
+ * Verify an uploaded (multer) file against its content and the allow-list,
+ * without trusting the client-supplied MIME type.
+ * @returns {string} the MIME type to store the file with
+ */
+export const resolveUploadMimeType = ( file ) =>
+{
+  const declared = ( file.mimetype || "application/octet-stream" ).toLowerCase();
+  const detected = detectMimeType( file.buffer );
+  let mimeType = detected;
+
+  // Text formats (CSV, Markdown...) share no signature; keep the declared flavour.
+  if ( detected === "text/plain" && declared.startsWith( "text/" ) )
+  {
+    mimeType = declared;
+  }
+
+  const matches = mimeType !== null && (
+    declared === "application/octet-stream" ||
+    ( MIME_ALIASES[ declared ] ?? declared ) === mimeType
+  );
+
+  if ( !matches )
+  {
+    const error = new Error( detected
+      ? `File content (${ detected }) does not match its declared type ${ declared }`
+      : `File content does not match its declared type ${ declared }` );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if ( !isAllowedMimeType( mimeType ) )
+  {
+    const error = new Error( `Files of type ${ mimeType } are not allowed` );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return mimeType;
+};
@@ -0,0 +1,73 @@
+import sharp from "sharp";
+
+// Formats sharp decodes and re-encodes; other images are stored as uploaded.
+const PROCESSED_FORMATS = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/gif": "gif",
+  "image/tiff": "tiff",
+};
+
+const DEFAULT_MAX_DIMENSION = 4096;
+
+export const THUMBNAIL_SIZES = {
+  small: 200,
+  medium: 800,
+};
+
+const readMaxDimension = () =>
+{
+  const value = Number( process.env.IMAGE_MAX_DIMENSION );
+  return Number.isInteger( value ) && value > 0 ? value : DEFAULT_MAX_DIMENSION;
+};
+
+export const isProcessableImage = ( mimeType ) => Object.hasOwn( PROCESSED_FORMATS, mimeType );
+
+/**
+ * Normalize an uploaded image: apply its EXIF orientation, drop every
+ * metadata block (EXIF, GPS, XMP, ICC comments...), cap its dimensions at
+ * IMAGE_MAX_DIMENSION and render WebP thumbnails.
+ * @param {Buffer} buffer
+ * @param {string} mimeType - verified type, see isProcessableImage
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number, thumbnails: Record<string, Buffer> }>}
+ */
+export const processImage = async ( buffer, mimeType ) =>
+{
+  const format = PROCESSED_FORMATS[ mimeType ];
+  const maxDimension = readMaxDimension();
+
+  let output;
+  try
+  {
+    // sharp writes no metadata unless asked to (withMetadata/keepExif).
+    output = await sharp( buffer, { animated: format === "gif" || format === "webp" } )
+      .rotate()
+      .resize( { width: maxDimension, height: maxDimension, fit: "inside", withoutEnlargement: true } )
+      .toFormat( format )
+      .toBuffer( { resolveWithObject: true } );
+  } catch
+  {
+    const error = new Error( "The image could not be read" );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const thumbnails = {};
+  for ( const [ name, size ] of Object.entries( THUMBNAIL_SIZES ) )
+  {
+    thumbnails[ name ] = await sharp( output.data )
+      .resize( { width: size, height: size, fit: "inside", withoutEnlargement: true } )
+      .webp( { quality: 80 } )
+      .toBuffer();
+  }
+
+  return {
+    buffer: output.data,
+    width: output.info.width,
+    // For animations, `height` covers every frame stacked.
+    height: output.info.pageHeight ?? output.info.height,
+    thumbnails,
+  };
+};
@@ -0,0 +1,400 @@
+import { TimelineEventType } from "@prisma/client";
+
+import { createTimelineEvent } from "./timeline.js";
+import { fetchSubtreeNodes, cloneTodoSubtree } from "./todoTree.js";
+
+const FREQUENCIES = [ "DAILY", "WEEKLY", "MONTHLY", "YEARLY" ];
+const SUPPORTED_PARTS = [ "FREQ", "INTERVAL", "COUNT", "UNTIL", "BYDAY", "BYMONTHDAY" ];
+// Indexed like Date#getUTCDay().
+const WEEKDAYS = [ "SU", "MO", "TU", "WE", "TH", "FR", "SA" ];
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const MAX_PERIODS = 10_000;
+
+const invalidRule = ( message ) =>
+{
+  const error = new Error( `Invalid recurrenceRule: ${ message }` );
+  error.statusCode = 400;
+  return error;
+};
+
+const parseRuleInteger = ( value, part, min, max ) =>
+{
+  const parsed = Number( value );
+  if ( !Number.isInteger( parsed ) || parsed < min || parsed > max )
+  {
+    throw invalidRule( `${ part } must be an integer between ${ min } and ${ max }` );
+  }
+  return parsed;
+};
+
+const parseUntil = ( value ) =>
+{
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec( value );
+  if ( !match )
+  {
+    throw invalidRule( "UNTIL must look like 20261231 or 20261231T235959Z" );
+  }
+  const [ , year, month, day, hours = "23", minutes = "59", seconds = "59" ] = match;
+  const until = new Date( Date.UTC( +year, +month - 1, +day, +hours, +minutes, +seconds ) );
+  if ( Number.isNaN( until.getTime() ) )
+  {
+    throw invalidRule( "UNTIL is not a valid date" );
+  }
+  return until;
+};
+
+/**
+ * Parse the supported subset of an RFC 5545 RRULE: FREQ (DAILY, WEEKLY,
+ * MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY (with ordinals such as 1MO or
+ * -1FR for MONTHLY rules) and BYMONTHDAY (MONTHLY rules only).
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=MO" or "RRULE:FREQ=MONTHLY;BYMONTHDAY=1"
+ */
+export const parseRecurrenceRule = ( value ) =>
+{
+  if ( typeof value !== "string" || !value.trim() )
+  {
+    throw invalidRule( "must be a non-empty string" );
+  }
+
+  const parts = {};
+  for ( const segment of value.trim().replace( /^RRULE:/i, "" ).split( ";" ).filter( Boolean ) )
+  {
+    const [ key, partValue, ...rest ] = segment.split( "=" );
+    const name = key.trim().toUpperCase();
+    if ( !partValue || rest.length > 0 )
+    {
+      throw invalidRule( `malformed part "${ segment }"` );
+    }
+    if ( !SUPPORTED_PARTS.includes( name ) )
+    {
+      throw invalidRule( `${ name } is not supported` );
+    }
+    parts[ name ] = partValue.trim().toUpperCase();
+  }
+
+  if ( !FREQUENCIES.includes( parts.FREQ ) )
+  {
+    throw invalidRule( `FREQ must be one of ${ FREQUENCIES.join( ", " ) }` );
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseRuleInteger( parts.INTERVAL, "INTERVAL", 1, 1000 ) : 1,
+    count: parts.COUNT ? parseRuleInteger( parts.COUNT, "COUNT", 1, 10_000 ) : null,
+    until: parts.UNTIL ? parseUntil( parts.UNTIL ) : null,
+    byDay: null,
+    byMonthDay: null,
+  };
+
+  if ( rule.count && rule.until )
+  {
+    throw invalidRule( "COUNT and UNTIL cannot be combined" );
+  }
+
+  if ( parts.BYDAY )
+  {
+    rule.byDay = parts.BYDAY.split( "," ).map( ( entry ) =>
+    {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec( entry.trim() );
+      if ( !match )
+      {
+        throw invalidRule( `BYDAY value "${ entry }" is not valid` );
+      }
+      const ordinal = match[ 1 ] ? Number( match[ 1 ] ) : null;
+      if ( ordinal !== null && ( rule.freq !== "MONTHLY" || ordinal === 0 || Math.abs( ordinal ) > 5 ) )
+      {
+        throw invalidRule( "BYDAY ordinals (e.g. 1MO, -1FR) are only supported between -5 and 5 for MONTHLY rules" );
+      }
+      return { ordinal, weekday: WEEKDAYS.indexOf( match[ 2 ] ) };
+    } );
+
+    if ( rule.freq === "YEARLY" )
+    {
+      throw invalidRule( "BYDAY is not supported for YEARLY rules" );
+    }
+  }
+
+  if ( parts.BYMONTHDAY )
+  {
+    if ( rule.freq !== "MONTHLY" )
+    {
+      throw invalidRule( "BYMONTHDAY is only supported for MONTHLY rules" );
+    }
+    if ( rule.byDay )
+    {
+      throw invalidRule( "BYDAY and BYMONTHDAY cannot be combined" );
+    }
+    rule.byMonthDay = parts.BYMONTHDAY.split( "," ).map( ( entry ) =>
+    {
+      const day = Number( entry );
+      if ( !Number.isInteger( day ) || day === 0 || Math.abs( day ) > 31 )
+      {
+        throw invalidRule( `BYMONTHDAY value "${ entry }" is not valid` );
+      }
+      return day;
+    } );
+  }
+
+  return rule;
+};
+
+/**
+ * Serialize a parsed rule back to its canonical RRULE form.
+ */
+export const formatRecurrenceRule = ( rule ) =>
+{
+  const parts = [ `FREQ=${ rule.freq }` ];
+  if ( rule.interval !== 1 )
+  {
+    parts.push( `INTERVAL=${ rule.interval }` );
+  }
+  if ( rule.byDay )
+  {
+    parts.push( `BYDAY=${ rule.byDay.map( ( { ordinal, weekday } ) => `${ ordinal ?? "" }${ WEEKDAYS[ weekday ] }` ).join( "," ) }` );
+  }
+  if ( rule.byMonthDay )
+  {
+    parts.push( `BYMONTHDAY=${ rule.byMonthDay.join( "," ) }` );
+  }
+  if ( rule.count )
+  {
+    parts.push( `COUNT=${ rule.count }` );
+  }
+  if ( rule.until )
+  {
+    parts.push( `UNTIL=${ rule.until.toISOString().replace( /[-:]/g, "" ).replace( /\.\d{3}/, "" ) }` );
+  }
+  return parts.join( ";" );
+};
+
+/**
+ * Parse a recurrenceRule request field.
+ * @returns {string | null | undefined} the canonical rule, `null` to clear it,
+ * or `undefined` when the field was not provided.
+ */
+export const parseRecurrenceRuleInput = ( value ) =>
+{
+  if ( typeof value === "undefined" )
+  {
+    return undefined;
+  }
+  if ( value === null || value === "" || value === "null" )
+  {
+    return null;
+  }
+  return formatRecurrenceRule( parseRecurrenceRule( value ) );
+};
+
+const daysInMonth = ( year, month ) => new Date( Date.UTC( year, month + 1, 0 ) ).getUTCDate();
+
+/**
+ * Candidate dates of the k-th period (day, week, month or year) of a rule,
+ * keeping the time of day of `dtstart`. All calculations are in UTC.
+ */
+const candidatesForPeriod = ( rule, dtstart, k ) =>
+{
+  const step = k * rule.interval;
+  const atTime = ( year, month, day ) => new Date( Date.UTC(
+    year,
+    month,
+    day,
+    dtstart.getUTCHours(),
+    dtstart.getUTCMinutes(),
+    dtstart.getUTCSeconds(),
+    dtstart.getUTCMilliseconds(),
+  ) );
+
+  if ( rule.freq === "DAILY" )
+  {
+    const date = new Date( dtstart.getTime() + step * DAY_IN_MS );
+    const matches = !rule.byDay || rule.byDay.some( ( { weekday } ) => weekday === date.getUTCDay() );
+    return matches ? [ date ] : [];
+  }
+
+  if ( rule.freq === "WEEKLY" )
+  {
+    // Weeks start on Monday (WKST=MO).
+    const mondayOffset = ( dtstart.getUTCDay() + 6 ) % 7;
+    const weekStart = new Date( dtstart.getTime() + ( step * 7 - mondayOffset ) * DAY_IN_MS );
+    const weekdays = rule.byDay
+      ? rule.byDay.map( ( { weekday } ) => weekday )
+      : [ dtstart.getUTCDay() ];
+    return [ ...new Set( weekdays.map( ( weekday ) => ( weekday + 6 ) % 7 ) ) ]
+      .sort( ( left, right ) => left - right )
+      .map( ( offset ) => new Date( weekStart.getTime() + offset * DAY_IN_MS ) );
+  }
+
+  if ( rule.freq === "MONTHLY" )
+  {
+    const monthIndex = dtstart.getUTCMonth() + step;
+    const year = dtstart.getUTCFullYear() + Math.floor( monthIndex / 12 );
+    const month = ( ( monthIndex % 12 ) + 12 ) % 12;
+    const lastDay = daysInMonth( year, month );
+    let days;
+
+    if ( rule.byDay )
+    {
+      days = rule.byDay.flatMap( ( { ordinal, weekday } ) =>
+      {
+        const firstWeekday = new Date( Date.UTC( year, month, 1 ) ).getUTCDay();
+        const matching = [];
+        for ( let day = 1 + ( ( weekday - firstWeekday + 7 ) % 7 ); day <= lastDay; day += 7 )
+        {
+          matching.push( day );
+        }
+        if ( ordinal === null )
+        {
+          return matching;
+        }
+        const picked = ordinal > 0 ? matching[ ordinal - 1 ] : matching[ matching.length + ordinal ];
+        return picked ? [ picked ] : [];
+      } );
+    } else
+    {
+      days = ( rule.byMonthDay ?? [ dtstart.getUTCDate() ] )
+        .map( ( day ) => ( day > 0 ? day : lastDay + day + 1 ) )
+        .filter( ( day ) => day >= 1 && day <= lastDay );
+    }
+
+    return [ ...new Set( days ) ]
+      .sort( ( left, right ) => left - right )
+      .map( ( day ) => atTime( year, month, day ) );
+  }
+
+  // YEARLY: same month and day as dtstart; years without that day (Feb 29) are skipped.
+  const year = dtstart.getUTCFullYear() + step;
+  const month = dtstart.getUTCMonth();
+  const day = dtstart.getUTCDate();
+  return day <= daysInMonth( year, month ) ? [ atTime( year, month, day ) ] : [];
+};
+
+/**
+ * List occurrences of a series. As in RFC 5545, `dtstart` itself is always the
+ * first occurrence and counts towards COUNT.
+ * @param {ReturnType<typeof parseRecurrenceRule>} rule
+ * @param {Date} dtstart - start of the series
+ * @param {{ after?: Date | null, limit: number }} options - only occurrences strictly after `after`
+ * @returns {Date[]}
+ */
+export const listOccurrences = ( rule, dtstart, { after = null, limit } ) =>
+{
+  const results = [];
+  let index = 1;
+
+  if ( !after || dtstart > after )
+  {
+    results.push( dtstart );
+  }
+
+  for ( let k = 0; k < MAX_PERIODS && results.length < limit; k += 1 )
+  {
+    for ( const date of candidatesForPeriod( rule, dtstart, k ) )
+    {
+      if ( date <= dtstart )
+      {
+        continue;
+      }
+      if ( rule.until && date > rule.until )
+      {
+        return results;
+      }
+      index += 1;
+      if ( rule.count && index > rule.count )
+      {
+        return results;
+      }
+      if ( !after || date > after )
+      {
+        results.push( date );
+        if ( results.length >= limit )
+        {
+          return results;
+        }
+      }
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Date a recurring todo occurs on: its start date, or its end date when it has no start.
+ */
+export const getOccurrenceDate = ( todo ) => todo.startDate ?? todo.endDate ?? null;
+
+/**
+ * Next occurrence of a recurring todo after its current one.
+ * @returns {Date | null} `null` once the series has ended.
+ */
+export const nextOccurrenceOf = ( todo ) =>
+{
+  const current = getOccurrenceDate( todo );
+  const rule = parseRecurrenceRule( todo.recurrenceRule );
+  return listOccurrences( rule, todo.recurrenceStart ?? current, { after: current, limit: 1 } )[ 0 ] ?? null;
+};
+
+/**
+ * Create the next occurrence of a completed recurring todo: a copy of its
+ * subtree with statuses reset and dates shifted to the next occurrence. The
+ * rule moves to the new occurrence, so completing the old one again does not
+ * spawn a second copy.
+ * @returns {Promise<number | null>} id of the new occurrence, or `null` when the series has ended.
+ */
+export const spawnNextOccurrence = async ( tx, todoId, userId ) =>
+{
+  const nodes = await fetchSubtreeNodes( tx, todoId );
+  const todo = nodes?.[ 0 ];
+
+  if ( !todo?.recurrenceRule || !getOccurrenceDate( todo ) )
+  {
+    return null;
+  }
+
+  const next = nextOccurrenceOf( todo );
+
+  await tx.todo.update( {
+    where: { id: todo.id },
+    data: { recurrenceRule: null },
+  } );
+
+  if ( !next )
+  {
+    await createTimelineEvent( {
+      todoId: todo.id,
+      type: TimelineEventType.UPDATED,
+      message: "Recurring series finished: no further occurrences",
+      actorUserId: userId,
+      client: tx,
+    } );
+    return null;
+  }
+
+  const seriesId = todo.recurrenceSeriesId ?? todo.id;
+  const copiedIds = await cloneTodoSubtree( tx, {
+    nodes,
+    userId,
+    parentId: todo.parentId,
+    offsetMs: next.getTime() - getOccurrenceDate( todo ).getTime(),
+    resetStatus: true,
+    keepAssignees: true,
+    rootData: {
+      recurrenceRule: todo.recurrenceRule,
+      recurrenceStart: todo.recurrenceStart,
+      recurrenceSeriesId: seriesId,
+    },
+    createdMessage: ( node ) => ( node.id === todo.id
+      ? `Created as the next occurrence of todo ${ todo.id } (series ${ seriesId })`
+      : `Copied from "${ node.title }" for the next occurrence` ),
+  } );
+  const nextId = copiedIds.get( todo.id );
+
+  await createTimelineEvent( {
+    todoId: todo.id,
+    type: TimelineEventType.UPDATED,
+    message: `Next occurrence scheduled for ${ next.toISOString() } (todo ${ nextId })`,
+    actorUserId: userId,
+    client: tx,
+  } );
+
+  return nextId;
+};
@@ -0,0 +1,371 @@
+import { TimelineEventType } from "@prisma/client";
+
+import { createTimelineEvent } from "./timeline.js";
+import { collectDescendantIds } from "./todoTree.js";
+import { spawnNextOccurrence } from "./recurrence.js";
+import { assertNotBlocked, notifyUnblockedDependents } from "./dependencies.js";
+
+/**
+ * Status a derived parent takes from its direct subtodos: DONE once all are
+ * done, TODO while none has started, IN_PROGRESS otherwise.
+ * @param {string[]} statuses
+ * @returns {string | null} `null` when there are no subtodos to derive from.
+ */
+const deriveStatusFromSubtodos = ( statuses ) =>
+{
+  if ( statuses.length === 0 )
+  {
+    return null;
+  }
+  if ( statuses.every( ( status ) => status === "DONE" ) )
+  {
+    return "DONE";
+  }
+  if ( statuses.every( ( status ) => status === "TODO" ) )
+  {
+    return "TODO";
+  }
+  return "IN_PROGRESS";
+};
+
+/**
+ * Recompute derived statuses starting at `todoId` and walking up its
+ * ancestors for as long as statuses keep changing. When `childChange` is given
+ * it is recorded as a SUBTODO_STATUS_CHANGED event on `todoId`, and each
+ * ancestor whose status changes is reported the same way to its own parent.
+ * An ancestor that gets completed this way and recurs spawns its next
+ * occurrence before the walk goes on, so its parent sees the new open
+ * occurrence. Events are recorded with `userId` as their actor.
+ * @returns {Promise<number[]>} ids of todos whose status or dates changed and
+ * of spawned occurrences.
+ */
+export const rollupDerivedStatuses = async ( client, { todoId, userId, childChange = null } ) =>
+{
+  const changedIds = [];
+  let currentId = todoId;
+  let change = childChange;
+
+  while ( currentId )
+  {
+    const current = await client.todo.findFirst( {
+      where: { id: currentId, deletedAt: null },
+      select: { id: true, title: true, status: true, statusMode: true, parentId: true, recurrenceRule: true },
+    } );
+
+    if ( !current )
+    {
+      break;
+    }
+
+    if ( change )
+    {
+      await createTimelineEvent( {
+        todoId: current.id,
+        type: TimelineEventType.SUBTODO_STATUS_CHANGED,
+        message: `Subtodo "${ change.title }" changed from ${ change.from } to ${ change.to }`,
+        actorUserId: userId,
+        client,
+      } );
+    }
+
+    if ( current.statusMode !== "DERIVED" )
+    {
+      break;
+    }
+
+    const subtodos = await client.todo.findMany( {
+      where: { parentId: current.id, deletedAt: null },
+      select: { status: true },
+    } );
+    const derived = deriveStatusFromSubtodos( subtodos.map( ( subtodo ) => subtodo.status ) );
+
+    if ( !derived || derived === current.status )
+    {
+      break;
+    }
+
+    await client.todo.update( {
+      where: { id: current.id },
+      data: { status: derived },
+    } );
+
+    await createTimelineEvent( {
+      todoId: current.id,
+      type: TimelineEventType.STATUS_CHANGED,
+      message: `Status changed from ${ current.status } to ${ derived } (derived from subtodos)`,
+      actorUserId: userId,
+      client,
+    } );
+
+    changedIds.push( current.id );
+
+    if ( derived === "DONE" && current.recurrenceRule )
+    {
+      const nextId = await spawnNextOccurrence( client, current.id, userId );
+      if ( nextId )
+      {
+        changedIds.push( nextId, ...await rollupDerivedTimelines( client, { todoId: current.parentId, userId } ) );
+      }
+    }
+
+    change = { title: current.title, from: current.status, to: derived };
+    currentId = current.parentId;
+  }
+
+  return changedIds;
+};
+
+/**
+ * Spawn the next occurrence of each given recurring todo that was just
+ * completed, listed parents first. Todos inside the subtree of one that
+ * spawned are skipped, since its new occurrence already brings a fresh copy
+ * of them. The dates of the occurrences are rolled up into their ancestors.
+ * @returns {Promise<{ spawnedIds: number[], rolledUpIds: number[] }>} ids of
+ * the spawned occurrences and of ancestors whose derived dates changed
+ */
+const spawnNextOccurrences = async ( tx, todoIds, userId ) =>
+{
+  const spawnedIds = [];
+  const rolledUpIds = [];
+  const coveredIds = new Set();
+
+  for ( const todoId of todoIds )
+  {
+    if ( coveredIds.has( todoId ) )
+    {
+      continue;
+    }
+
+    const nextId = await spawnNextOccurrence( tx, todoId, userId );
+    if ( nextId )
+    {
+      const { parentId } = await tx.todo.findUnique( { where: { id: nextId }, select: { parentId: true } } );
+      spawnedIds.push( nextId );
+      rolledUpIds.push( ...await rollupDerivedTimelines( tx, { todoId: parentId, userId } ) );
+      ( await collectDescendantIds( tx, todoId ) ).forEach( ( id ) => coveredIds.add( id ) );
+    }
+  }
+
+  return { spawnedIds, rolledUpIds };
+};
+
+/**
+ * Apply a direct status change inside a transaction. A todo with open blockers
+ * cannot be started or finished unless `force` is set. DONE cascades to every
+ * descendant, and every recurring todo it completes schedules its next
+ * occurrence; the change is then rolled up through derived ancestors (which
+ * spawn their own next occurrence when they get completed), and dependents of
+ * every todo that got completed are notified once they are unblocked.
+ * @param {{ id: number, title: string, status: string, statusMode: string, parentId: number | null, recurrenceRule?: string | null }} existing
+ * @param {{ force?: boolean }} [options]
+ * @returns {Promise<{ rolledUpIds: number[], spawnedIds: number[], unblockedIds: number[] }>}
+ * ids of ancestors whose derived status or dates changed, of newly created
+ * occurrences and of unblocked dependents.
+ */
+export const applyStatusChange = async ( tx, existing, status, userId, { force = false } = {} ) =>
+{
+  await assertNotBlocked( tx, existing, status, force );
+
+  if ( existing.statusMode === "DERIVED" && status !== "DONE" )
+  {
+    const subtodoCount = await tx.todo.count( {
+      where: { parentId: existing.id, deletedAt: null },
+    } );
+
+    if ( subtodoCount > 0 )
+    {
+      const error = new Error(
+        `Status of "${ existing.title }" is derived from its subtodos. Set statusMode to MANUAL to change it directly`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  await tx.todo.update( {
+    where: { id: existing.id },
+    data: { status },
+  } );
+
+  await createTimelineEvent( {
+    todoId: existing.id,
+    type: TimelineEventType.STATUS_CHANGED,
+    message: `Status changed from ${ existing.status } to ${ status }`,
+    actorUserId: userId,
+    client: tx,
+  } );
+
+  const completedIds = status === "DONE" ? [ existing.id ] : [];
+  const recurringCompletedIds = status === "DONE" && existing.recurrenceRule ? [ existing.id ] : [];
+  if ( status === "DONE" )
+  {
+    const descendantIds = await collectDescendantIds( tx, existing.id );
+    if ( descendantIds.length > 0 )
+    {
+      const openDescendants = await tx.todo.findMany( {
+        where: { id: { in: descendantIds }, status: { not: "DONE" } },
+        select: { id: true, title: true, status: true, parentId: true, recurrenceRule: true },
+      } );
+      const openIds = openDescendants.map( ( todo ) => todo.id );
+      completedIds.push( ...openIds );
+
+      // Parents first (descendant ids come breadth-first), so that nested
+      // recurring todos are covered by their recurring ancestor's new occurrence.
+      const recurringIds = new Set(
+        openDescendants.filter( ( todo ) => todo.recurrenceRule ).map( ( todo ) => todo.id )
+      );
+      recurringCompletedIds.push( ...descendantIds.filter( ( id ) => recurringIds.has( id ) ) );
+
+      await tx.todo.updateMany( {
+        where: { id: { in: openIds } },
+        data: { status },
+      } );
+
+      // Each cascaded change is recorded like a direct one: on the subtodo
+      // itself and on its parent.
+      for ( const descendant of openDescendants )
+      {
+        await createTimelineEvent( {
+          todoId: descendant.id,
+          type: TimelineEventType.STATUS_CHANGED,
+          message: `Status changed from ${ descendant.status } to ${ status } (with "${ existing.title }")`,
+          actorUserId: userId,
+          client: tx,
+        } );
+        await createTimelineEvent( {
+          todoId: descendant.parentId,
+          type: TimelineEventType.SUBTODO_STATUS_CHANGED,
+          message: `Subtodo "${ descendant.title }" changed from ${ descendant.status } to ${ status }`,
+          actorUserId: userId,
+          client: tx,
+        } );
+      }
+    }
+  }
+
+  const { spawnedIds, rolledUpIds: occurrenceRollupIds } = await spawnNextOccurrences(
+    tx,
+    recurringCompletedIds,
+    userId
+  );
+
+  const statusRollupIds = await rollupDerivedStatuses( tx, {
+    todoId: existing.parentId,
+    userId,
+    childChange: { title: existing.title, from: existing.status, to: status },
+  } );
+  const rolledUpIds = [ ...occurrenceRollupIds, ...statusRollupIds ];
+
+  if ( statusRollupIds.length > 0 )
+  {
+    const completedAncestors = await tx.todo.findMany( {
+      where: { id: { in: statusRollupIds }, status: "DONE" },
+      select: { id: true },
+    } );
+    completedIds.push( ...completedAncestors.map( ( todo ) => todo.id ) );
+  }
+
+  const unblockedIds = await notifyUnblockedDependents( tx, completedIds, userId );
+
+  return { rolledUpIds, spawnedIds, unblockedIds };
+};
+
+export const describeTimelineChange = ( startDate, endDate, suffix = "" ) =>
+{
+  if ( startDate && endDate )
+  {
+    return `Timeline updated to ${ startDate.toISOString() } → ${ endDate.toISOString() }${ suffix }`;
+  }
+  if ( startDate )
+  {
+    return `Timeline updated. Start: ${ startDate.toISOString() }, no end date${ suffix }`;
+  }
+  if ( endDate )
+  {
+    return `Timeline updated. End: ${ endDate.toISOString() }, no start date${ suffix }`;
+  }
+  return `Timeline cleared${ suffix }`;
+};
+
+const sameDate = ( left, right ) => ( left?.getTime() ?? null ) === ( right?.getTime() ?? null );
+
+const datedSubtodoWhere = ( parentId ) => ( {
+  parentId,
+  deletedAt: null,
+  OR: [ { startDate: { not: null } }, { endDate: { not: null } } ],
+} );
+
+/**
+ * A todo's dates are derived once at least one of its subtodos has a date.
+ */
+export const hasDatedSubtodos = async ( client, todoId ) =>
+  ( await client.todo.count( { where: datedSubtodoWhere( todoId ) } ) ) > 0;
+
+/**
+ * Recompute derived date ranges (earliest subtodo start, latest subtodo end)
+ * starting at `todoId` and walking up its ancestors for as long as ranges keep
+ * changing. Set `removedDatedSubtodo` when a subtodo that had dates was moved
+ * away, deleted or had its dates cleared: if `todoId` is left without dated
+ * subtodos its derived range is cleared. Otherwise todos without dated
+ * subtodos keep their own dates.
+ * @returns {Promise<number[]>} ids of todos whose range changed.
+ */
+export const rollupDerivedTimelines = async ( client, { todoId, userId, removedDatedSubtodo = false } ) =>
+{
+  const changedIds = [];
+  let currentId = todoId;
+  // Above the first level a todo only runs out of dated subtodos when the one
+  // below it was just cleared, so its range was derived as well.
+  let rangeWasDerived = removedDatedSubtodo;
+
+  while ( currentId )
+  {
+    const current = await client.todo.findFirst( {
+      where: { id: currentId, deletedAt: null },
+      select: { id: true, startDate: true, endDate: true, parentId: true },
+    } );
+
+    if ( !current )
+    {
+      break;
+    }
+
+    const { _count: count, _min: min, _max: max } = await client.todo.aggregate( {
+      where: datedSubtodoWhere( current.id ),
+      _count: { _all: true },
+      _min: { startDate: true },
+      _max: { endDate: true },
+    } );
+
+    if ( count._all === 0 && !rangeWasDerived )
+    {
+      break;
+    }
+
+    const startDate = count._all === 0 ? null : min.startDate;
+    const endDate = count._all === 0 ? null : max.endDate;
+    if ( sameDate( startDate, current.startDate ) && sameDate( endDate, current.endDate ) )
+    {
+      break;
+    }
+
+    await client.todo.update( {
+      where: { id: current.id },
+      data: { startDate, endDate },
+    } );
+
+    await createTimelineEvent( {
+      todoId: current.id,
+      type: TimelineEventType.TIMELINE_UPDATED,
+      message: describeTimelineChange( startDate, endDate, " (derived from subtodos)" ),
+      actorUserId: userId,
+      client,
+    } );
+
+    changedIds.push( current.id );
+    currentId = current.parentId;
+    rangeWasDerived = true;
+  }
+
+  return changedIds;
+};
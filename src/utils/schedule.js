@@ -0,0 +1,127 @@
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const toDays = ( ms ) => Math.round( ( ms / DAY_IN_MS ) * 100 ) / 100;
+
+const formatDays = ( ms ) => `${ toDays( ms ) } ${ toDays( ms ) === 1 ? "day" : "days" }`;
+
+/**
+ * Build a Gantt-ready schedule for a subtree (nodes as returned by
+ * fetchSubtreeNodes, root first).
+ *
+ * Every todo must finish by its parent's latest finish (the root's end date,
+ * or the latest end in the subtree when the root has none); a bar's slack is
+ * the time between its end and that deadline. Dated bars without slack are
+ * critical. The critical path only contains critical bars: it starts at the
+ * topmost one and continues through the critical descendant that finishes last
+ * (earliest start on ties) at each level.
+ *
+ * Todos without an end date have no slack, are never critical and are skipped
+ * by the path; their children inherit the deadline of the nearest dated
+ * ancestor. When no todo in the subtree has an end date, every slack is null
+ * and the critical path is empty. Children whose range falls outside their
+ * parent's are reported as conflicts.
+ * @param {object[]} nodes
+ */
+export const buildSchedule = ( nodes ) =>
+{
+  const [ root ] = nodes;
+  const childrenOf = new Map();
+  nodes.slice( 1 ).forEach( ( node ) =>
+  {
+    childrenOf.set( node.parentId, [ ...( childrenOf.get( node.parentId ) ?? [] ), node ] );
+  } );
+
+  const ends = nodes.map( ( node ) => node.endDate?.getTime() ).filter( ( time ) => typeof time === "number" );
+  const starts = nodes.map( ( node ) => node.startDate?.getTime() ).filter( ( time ) => typeof time === "number" );
+  const projectEnd = root.endDate?.getTime() ?? ( ends.length > 0 ? Math.max( ...ends ) : null );
+  const projectStart = root.startDate?.getTime() ?? ( starts.length > 0 ? Math.min( ...starts ) : null );
+
+  const bars = [];
+  const barById = new Map();
+  const conflicts = [];
+
+  const visit = ( node, depth, latestFinish, parent ) =>
+  {
+    const start = node.startDate?.getTime() ?? null;
+    const end = node.endDate?.getTime() ?? null;
+    const slack = end !== null && latestFinish !== null ? latestFinish - end : null;
+
+    const bar = {
+      id: node.id,
+      parentId: node === root ? null : node.parentId,
+      title: node.title,
+      status: node.status,
+      depth,
+      startDate: node.startDate,
+      endDate: node.endDate,
+      durationDays: start !== null && end !== null ? toDays( end - start ) : null,
+      slackDays: slack === null ? null : toDays( slack ),
+      critical: slack !== null && slack <= 0,
+      outOfParentRange: false,
+    };
+
+    if ( parent )
+    {
+      const parentStart = parent.startDate?.getTime() ?? null;
+      const parentEnd = parent.endDate?.getTime() ?? null;
+      const startsEarly = start !== null && parentStart !== null && start < parentStart;
+      const endsLate = end !== null && parentEnd !== null && end > parentEnd;
+
+      if ( startsEarly || endsLate )
+      {
+        bar.outOfParentRange = true;
+        conflicts.push( {
+          todoId: node.id,
+          parentId: parent.id,
+          message: [
+            startsEarly ? `starts ${ formatDays( parentStart - start ) } before` : null,
+            endsLate ? `ends ${ formatDays( end - parentEnd ) } after` : null,
+          ].filter( Boolean ).join( " and " ) + ` its parent "${ parent.title }"`,
+        } );
+      }
+    }
+
+    bars.push( bar );
+    barById.set( node.id, bar );
+
+    // A child may never finish later than its own parent.
+    const childDeadline = end !== null && latestFinish !== null ? Math.min( end, latestFinish ) : end ?? latestFinish;
+    ( childrenOf.get( node.id ) ?? [] ).forEach( ( child ) => visit( child, depth + 1, childDeadline, node ) );
+  };
+
+  visit( root, 0, projectEnd, null );
+
+  // Critical bars directly below a todo, looking through undated todos (which
+  // have no slack of their own) but not past bars that have slack.
+  const criticalBelow = ( id ) => ( childrenOf.get( id ) ?? [] ).flatMap( ( child ) =>
+  {
+    const bar = barById.get( child.id );
+    if ( bar.critical )
+    {
+      return [ bar ];
+    }
+    return bar.slackDays === null ? criticalBelow( child.id ) : [];
+  } );
+  const finishesLast = ( bars ) => [ ...bars ].sort( ( left, right ) =>
+    ( right.endDate.getTime() - left.endDate.getTime() ) ||
+    ( ( left.startDate?.getTime() ?? Infinity ) - ( right.startDate?.getTime() ?? Infinity ) )
+  )[ 0 ];
+
+  const criticalPath = [];
+  const rootBar = barById.get( root.id );
+  let current = rootBar.critical ? rootBar : finishesLast( criticalBelow( root.id ) );
+  while ( current )
+  {
+    criticalPath.push( current.id );
+    current = finishesLast( criticalBelow( current.id ) );
+  }
+
+  return {
+    rootId: root.id,
+    startDate: projectStart === null ? null : new Date( projectStart ),
+    endDate: projectEnd === null ? null : new Date( projectEnd ),
+    bars,
+    criticalPath,
+    conflicts,
+  };
+};
@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+import { notifySessionsRevoked } from "../events/todoEvents.js";
+
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const MAX_USER_AGENT_LENGTH = 255;
+
+export const ensureJwtSecret = () =>
+{
+  const secret = process.env.JWT_SECRET;
+  if ( !secret )
+  {
+    throw new Error( "JWT_SECRET is not configured" );
+  }
+  return secret;
+};
+
+const accessTokenExpiresIn = () => process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+
+const getRefreshTokenTtlMs = () =>
+{
+  const days = Number.parseFloat( process.env.REFRESH_TOKEN_TTL_DAYS ?? "" );
+  return ( Number.isFinite( days ) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS ) * 24 * 60 * 60 * 1000;
+};
+
+const hashRefreshToken = ( token ) => crypto.createHash( "sha256" ).update( token ).digest( "hex" );
+
+const unauthorized = ( message ) =>
+{
+  const error = new Error( message );
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Filter for the sessions that can still be used: not revoked and not expired.
+ */
+export const activeSessionWhere = () => ( {
+  revokedAt: null,
+  expiresAt: { gt: new Date() },
+} );
+
+const createAccessToken = ( user, sessionId ) =>
+  jwt.sign(
+    {
+      sub: user.id,
+      email: user.email,
+      userId: user.id,
+      sid: sessionId,
+    },
+    ensureJwtSecret(),
+    {
+      expiresIn: accessTokenExpiresIn(),
+    },
+  );
+
+const describeClient = ( req ) => ( {
+  userAgent: req.get( "user-agent" )?.slice( 0, MAX_USER_AGENT_LENGTH ) || null,
+  ipAddress: req.ip || null,
+} );
+
+/**
+ * Start a session for a user who just signed in, pruning their sessions that
+ * can no longer be used.
+ * @returns {Promise<{ token: string, refreshToken: string }>} a short-lived
+ * access token and the session's refresh token, which is only stored hashed.
+ */
+export const createSession = async ( client, user, req ) =>
+{
+  await client.session.deleteMany( {
+    where: {
+      userId: user.id,
+      OR: [ { revokedAt: { not: null } }, { expiresAt: { lte: new Date() } } ],
+    },
+  } );
+
+  const refreshToken = crypto.randomBytes( 32 ).toString( "base64url" );
+  const session = await client.session.create( {
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashRefreshToken( refreshToken ),
+      ...describeClient( req ),
+      expiresAt: new Date( Date.now() + getRefreshTokenTtlMs() ),
+    },
+  } );
+
+  return { token: createAccessToken( user, session.id ), refreshToken };
+};
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token. Each
+ * refresh token works once: presenting one that was already rotated means it
+ * leaked, so the whole session is revoked.
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+export const rotateSession = async ( client, refreshToken, req ) =>
+{
+  const tokenHash = hashRefreshToken( refreshToken );
+  const session = await client.session.findFirst( {
+    where: { OR: [ { refreshTokenHash: tokenHash }, { previousRefreshTokenHash: tokenHash } ] },
+    include: { user: { select: { id: true, email: true } } },
+  } );
+
+  if ( !session || session.revokedAt || session.expiresAt <= new Date() )
+  {
+    throw unauthorized( "Invalid or expired refresh token" );
+  }
+
+  if ( session.refreshTokenHash !== tokenHash )
+  {
+    notifySessionsRevoked( await revokeSessions( client, { id: session.id } ) );
+    throw unauthorized( "Refresh token was already used; the session has been revoked" );
+  }
+
+  const nextRefreshToken = crypto.randomBytes( 32 ).toString( "base64url" );
+  const { count } = await client.session.updateMany( {
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashRefreshToken( nextRefreshToken ),
+      previousRefreshTokenHash: tokenHash,
+      ...describeClient( req ),
+      lastUsedAt: new Date(),
+      expiresAt: new Date( Date.now() + getRefreshTokenTtlMs() ),
+    },
+  } );
+
+  // Another request rotated the same token first.
+  if ( count === 0 )
+  {
+    throw unauthorized( "Invalid or expired refresh token" );
+  }
+
+  return { token: createAccessToken( session.user, session.id ), refreshToken: nextRefreshToken };
+};
+
+/**
+ * Revoke the active sessions matching `where`. Their event streams are left
+ * open: once the revocation is committed, pass the returned ids to
+ * notifySessionsRevoked to close them.
+ * @returns {Promise<number[]>} ids of the revoked sessions
+ */
+export const revokeSessions = async ( client, where ) =>
+{
+  const sessions = await client.session.findMany( {
+    where: { ...where, ...activeSessionWhere() },
+    select: { id: true },
+  } );
+  const ids = sessions.map( ( session ) => session.id );
+
+  if ( ids.length > 0 )
+  {
+    await client.session.updateMany( {
+      where: { id: { in: ids } },
+      data: { revokedAt: new Date() },
+    } );
+  }
+
+  return ids;
+};
+
+/**
+ * Verify an access token and check that its session is still active.
+ * @returns {Promise<{ userId: number, email: string, sessionId: number }>}
+ */
+export const verifyAccessToken = async ( client, token ) =>
+{
+  let payload;
+  try
+  {
+    payload = jwt.verify( token, ensureJwtSecret() );
+  } catch
+  {
+    throw unauthorized( "Invalid or expired authentication token" );
+  }
+
+  const rawId = typeof payload.userId !== "undefined" ? payload.userId : payload.sub;
+  const userId = typeof rawId === "string" ? Number.parseInt( rawId, 10 ) : rawId;
+
+  if ( !userId || Number.isNaN( userId ) || !Number.isInteger( payload.sid ) )
+  {
+    throw unauthorized( "Invalid authentication token" );
+  }
+
+  const session = await client.session.findFirst( {
+    where: { id: payload.sid, userId, ...activeSessionWhere() },
+    select: { id: true },
+  } );
+
+  if ( !session )
+  {
+    throw unauthorized( "Session has been revoked or has expired" );
+  }
+
+  return { userId, email: payload.email, sessionId: session.id };
+};
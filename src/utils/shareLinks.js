@@ -0,0 +1,62 @@
+import crypto from "crypto";
+
+export const SHARED_ROUTE = "/api/shared";
+
+/**
+ * New unguessable share token. Only its hash is stored, so the token can be
+ * shown once, when the link is created.
+ */
+export const createShareToken = () => crypto.randomBytes( 32 ).toString( "base64url" );
+
+export const hashShareToken = ( token ) => crypto.createHash( "sha256" ).update( token ).digest( "hex" );
+
+/**
+ * Public URL of a share token, under PUBLIC_BASE_URL like signed file links.
+ * @param {string} token
+ * @returns {string}
+ */
+export const sharedTodoUrl = ( token ) =>
+  `${ ( process.env.PUBLIC_BASE_URL ?? "" ).replace( /\/+$/, "" ) }${ SHARED_ROUTE }/${ token }`;
+
+const toSharedAttachment = ( attachment ) => ( {
+  id: attachment.id,
+  url: attachment.url,
+  filename: attachment.filename,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  width: attachment.width,
+  height: attachment.height,
+  thumbnails: attachment.thumbnails,
+  createdAt: attachment.createdAt,
+} );
+
+/**
+ * Public view of a normalized todo tree: who created, is assigned to or
+ * changed the todos (timeline), their workspace, and dependencies on todos
+ * outside the shared subtree are left out.
+ * @param {ReturnType<typeof import("./todoTree.js").normalizeTodo>} todo
+ * @param {Set<number>} subtreeIds
+ */
+export const toSharedTodo = ( todo, subtreeIds ) => ( {
+  id: todo.id,
+  title: todo.title,
+  description: todo.description,
+  imageUrl: todo.imageUrl,
+  imageThumbnails: todo.imageThumbnails,
+  startDate: todo.startDate,
+  endDate: todo.endDate,
+  status: todo.status,
+  statusMode: todo.statusMode,
+  priority: todo.priority,
+  parentId: subtreeIds.has( todo.parentId ) ? todo.parentId : null,
+  position: todo.position,
+  recurrenceRule: todo.recurrenceRule,
+  tags: todo.tags,
+  attachments: todo.attachments.map( toSharedAttachment ),
+  blockedBy: todo.blockedBy.filter( ( blocker ) => subtreeIds.has( blocker.id ) ),
+  blocks: todo.blocks.filter( ( blocked ) => subtreeIds.has( blocked.id ) ),
+  isBlocked: todo.isBlocked,
+  createdAt: todo.createdAt,
+  updatedAt: todo.updatedAt,
+  subtodos: todo.subtodos.map( ( subtodo ) => toSharedTodo( subtodo, subtreeIds ) ),
+} );
@@ -0,0 +1,122 @@
+import { parseEntityId } from "./validation.js";
+
+export const parseTagId = ( value ) => parseEntityId( value, "Tag" );
+
+export const sanitizeTag = ( tag ) => ( {
+  id: tag.id,
+  name: tag.name,
+  color: tag.color,
+} );
+
+/**
+ * Parse a list of tag ids from a JSON body or a multipart field, which may be
+ * an array, a comma-separated string or a JSON array string.
+ * @returns {number[] | undefined} `undefined` when the field was not provided.
+ */
+export const parseTagIds = ( value, fieldName = "tagIds" ) =>
+{
+  if ( typeof value === "undefined" )
+  {
+    return undefined;
+  }
+
+  let list = value;
+  if ( typeof value === "string" )
+  {
+    const trimmed = value.trim();
+    if ( trimmed.startsWith( "[" ) )
+    {
+      try
+      {
+        list = JSON.parse( trimmed );
+      } catch
+      {
+        const error = new Error( `${ fieldName } must be an array of tag ids` );
+        error.statusCode = 400;
+        throw error;
+      }
+    } else
+    {
+      list = trimmed.split( "," );
+    }
+  }
+
+  if ( list === null )
+  {
+    return [];
+  }
+
+  if ( !Array.isArray( list ) )
+  {
+    const error = new Error( `${ fieldName } must be an array of tag ids` );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return [ ...new Set(
+    list
+      .map( ( entry ) => String( entry ).trim() )
+      .filter( Boolean )
+      .map( parseTagId )
+  ) ];
+};
+
+/**
+ * Load the given tags of a workspace, failing when any of them does not exist
+ * there (a todo can only carry tags of its own workspace).
+ * @returns {Promise<Array<{ id: number, name: string, color: string | null }>>}
+ */
+export const findWorkspaceTags = async ( client, workspaceId, tagIds ) =>
+{
+  if ( tagIds.length === 0 )
+  {
+    return [];
+  }
+
+  const tags = await client.tag.findMany( {
+    where: { id: { in: tagIds }, workspaceId },
+    orderBy: { name: "asc" },
+  } );
+
+  if ( tags.length !== tagIds.length )
+  {
+    const found = new Set( tags.map( ( tag ) => tag.id ) );
+    const error = new Error( `Tag not found: ${ tagIds.filter( ( id ) => !found.has( id ) ).join( ", " ) }` );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return tags;
+};
+
+/**
+ * Timeline message for a change of a todo's tags, or `null` when nothing changed.
+ */
+export const describeTagChange = ( previousTags, nextTags ) =>
+{
+  const previousIds = new Set( previousTags.map( ( tag ) => tag.id ) );
+  const nextIds = new Set( nextTags.map( ( tag ) => tag.id ) );
+  const quote = ( tags ) => tags.map( ( tag ) => `"${ tag.name }"` ).join( ", " );
+
+  const added = nextTags.filter( ( tag ) => !previousIds.has( tag.id ) );
+  const removed = previousTags.filter( ( tag ) => !nextIds.has( tag.id ) );
+  const parts = [];
+
+  if ( added.length > 0 )
+  {
+    parts.push( `added ${ added.length === 1 ? "tag" : "tags" } ${ quote( added ) }` );
+  }
+
+  if ( removed.length > 0 )
+  {
+    parts.push( `removed ${ removed.length === 1 ? "tag" : "tags" } ${ quote( removed ) }` );
+  }
+
+  if ( parts.length === 0 )
+  {
+    return null;
+  }
+
+  const message = parts.join( "; " );
+  return message.charAt( 0 ).toUpperCase() + message.slice( 1 );
+};
@@ -0,0 +1,345 @@
+import { TimelineEventType } from "@prisma/client";
+
+import prisma from "../prisma/client.js";
+import { createTimelineEvent } from "./timeline.js";
+import { sanitizeTag } from "./tags.js";
+import { sanitizeAttachment, findTodoImage } from "./attachments.js";
+import { todoVisibleWhere } from "./workspaces.js";
+
+const sanitizeTimeline = ( timelineEvents = [] ) =>
+  timelineEvents.map( ( event ) => ( {
+    id: event.id,
+    type: event.type,
+    message: event.message,
+    actorUserId: event.actorUserId,
+    createdAt: event.createdAt,
+  } ) );
+
+const DEPENDENCY_TODO_SELECT = { id: true, title: true, status: true };
+
+const dependencyTodos = ( dependencies = [], side ) =>
+  dependencies.map( ( dependency ) => dependency[ side ] );
+
+export const normalizeTodo = ( todo ) =>
+{
+  const attachments = ( todo.attachments ?? [] ).map( sanitizeAttachment );
+  const image = findTodoImage( attachments );
+
+  return {
+    id: todo.id,
+    title: todo.title,
+    description: todo.description,
+    imageUrl: image?.url ?? null,
+    imageThumbnails: image?.thumbnails ?? null,
+    startDate: todo.startDate,
+    endDate: todo.endDate,
+    status: todo.status,
+    statusMode: todo.statusMode,
+    priority: todo.priority,
+    parentId: todo.parentId,
+    workspaceId: todo.workspaceId,
+    creatorId: todo.userId,
+    assigneeId: todo.assigneeId ?? null,
+    assignee: todo.assignee ?? null,
+    position: todo.position,
+    recurrenceRule: todo.recurrenceRule,
+    recurrenceSeriesId: todo.recurrenceSeriesId,
+    tags: ( todo.tags ?? [] ).map( sanitizeTag ),
+    attachments,
+    blockedBy: dependencyTodos( todo.blockedBy, "blocker" ),
+    blocks: dependencyTodos( todo.blocks, "blocked" ),
+    isBlocked: dependencyTodos( todo.blockedBy, "blocker" ).some( ( blocker ) => blocker.status !== "DONE" ),
+    createdAt: todo.createdAt,
+    updatedAt: todo.updatedAt,
+    timeline: sanitizeTimeline( todo.timelineEvents ),
+    subtodos: [],
+  };
+};
+
+/**
+ * Relations loaded for every todo returned by the API.
+ */
+export const TODO_INCLUDE = {
+  assignee: {
+    select: { id: true, name: true },
+  },
+  timelineEvents: {
+    orderBy: { createdAt: "desc" },
+    take: 50,
+  },
+  tags: {
+    orderBy: { name: "asc" },
+  },
+  attachments: {
+    orderBy: [ { createdAt: "asc" }, { id: "asc" } ],
+  },
+  // Dependencies on trashed todos are kept (for restores) but not exposed.
+  blockedBy: {
+    where: { blocker: { deletedAt: null } },
+    select: { blocker: { select: DEPENDENCY_TODO_SELECT } },
+  },
+  blocks: {
+    where: { blocked: { deletedAt: null } },
+    select: { blocked: { select: DEPENDENCY_TODO_SELECT } },
+  },
+};
+
+export const buildTodoTree = ( todos ) =>
+{
+  const map = new Map();
+  const nodes = todos.map( ( todo ) =>
+  {
+    const node = normalizeTodo( todo );
+    map.set( node.id, node );
+    return node;
+  } );
+
+  const roots = [];
+
+  nodes.forEach( ( node ) =>
+  {
+    // A node whose parent was not loaded (e.g. a filtered or scoped listing) is
+    // treated as a root of the returned tree.
+    const parent = node.parentId ? map.get( node.parentId ) : null;
+    if ( parent )
+    {
+      parent.subtodos.push( node );
+    } else
+    {
+      roots.push( node );
+    }
+  } );
+
+  return { roots, map };
+};
+
+export const pickTodos = ( map, ids ) =>
+  [ ...new Set( ids ) ].map( ( id ) => map.get( id ) ).filter( Boolean );
+
+/**
+ * Load the live todos of every workspace the user is a member of, and the
+ * todos assigned to them elsewhere (as roots of the returned tree).
+ */
+export const fetchTodoTreeForUser = async ( userId ) =>
+{
+  const todos = await prisma.todo.findMany( {
+    where: { deletedAt: null, ...todoVisibleWhere( userId ) },
+    orderBy: [ { position: "asc" }, { createdAt: "asc" } ],
+    include: TODO_INCLUDE,
+  } );
+
+  return buildTodoTree( todos );
+};
+
+/**
+ * Collect the ids of a todo's live descendants, breadth first. Subtodos always
+ * live in their root's workspace, so callers only need to authorize the root.
+ */
+export const collectDescendantIds = async ( client, rootId ) =>
+{
+  const ids = [];
+  const queue = [ rootId ];
+
+  while ( queue.length > 0 )
+  {
+    const current = queue.shift();
+    const children = await client.todo.findMany( {
+      where: { parentId: current, deletedAt: null },
+      orderBy: [ { position: "asc" }, { createdAt: "asc" } ],
+      select: { id: true },
+    } );
+
+    for ( const child of children )
+    {
+      ids.push( child.id );
+      queue.push( child.id );
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Load a live todo (with its tag ids and attachments) and its descendants,
+ * root first and every parent before its subtodos (siblings in position order).
+ * @returns {Promise<object[] | null>} `null` when the todo does not exist.
+ */
+export const fetchSubtreeNodes = async ( client, rootId ) =>
+{
+  const include = {
+    tags: { select: { id: true } },
+    attachments: { orderBy: [ { createdAt: "asc" }, { id: "asc" } ] },
+  };
+  const root = await client.todo.findFirst( {
+    where: { id: rootId, deletedAt: null },
+    include,
+  } );
+
+  if ( !root )
+  {
+    return null;
+  }
+
+  const descendantIds = await collectDescendantIds( client, rootId );
+  const descendants = descendantIds.length > 0
+    ? await client.todo.findMany( { where: { id: { in: descendantIds } }, include } )
+    : [];
+  const order = new Map( descendantIds.map( ( id, index ) => [ id, index ] ) );
+
+  return [ root, ...descendants.sort( ( left, right ) => order.get( left.id ) - order.get( right.id ) ) ];
+};
+
+/**
+ * Copy subtree nodes (as returned by fetchSubtreeNodes) with their tags and
+ * attachments inside a transaction, writing a CREATED timeline event on every
+ * copy. The copied root is appended to the end of `parentId`'s subtodos in
+ * `workspaceId` (the source workspace by default); tags are only kept when the
+ * copy stays in the workspace they belong to, and assignees only with
+ * `keepAssignees`.
+ * Attachments share the original files (and thumbnails) unless `storedFilesFor`
+ * maps them to copies; returning `null` drops the attachment.
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx
+ * @param {{
+ *   nodes: object[];
+ *   userId: number;
+ *   workspaceId?: number;
+ *   parentId: number | null;
+ *   offsetMs?: number;
+ *   resetStatus?: boolean;
+ *   keepAssignees?: boolean;
+ *   storedFilesFor?: ( attachment: object ) => { storageKey: string, smallKey?: string | null, mediumKey?: string | null } | null;
+ *   rootData?: object;
+ *   createdMessage: ( node: object ) => string;
+ * }} options
+ * @returns {Promise<Map<number, number>>} original id → copy id
+ */
+export const cloneTodoSubtree = async ( tx, {
+  nodes,
+  userId,
+  workspaceId = nodes[ 0 ].workspaceId,
+  parentId,
+  offsetMs = 0,
+  resetStatus = true,
+  keepAssignees = false,
+  storedFilesFor = ( attachment ) => attachment,
+  rootData = {},
+  createdMessage,
+} ) =>
+{
+  const shift = ( date ) => ( date ? new Date( date.getTime() + offsetMs ) : null );
+  const copiedIds = new Map();
+  const [ root ] = nodes;
+
+  for ( const node of nodes )
+  {
+    const isRoot = node.id === root.id;
+    const copy = await tx.todo.create( {
+      data: {
+        title: node.title,
+        description: node.description,
+        startDate: shift( node.startDate ),
+        endDate: shift( node.endDate ),
+        status: resetStatus ? "TODO" : node.status,
+        statusMode: node.statusMode,
+        priority: node.priority,
+        position: isRoot ? await nextSiblingPosition( tx, workspaceId, parentId ) : node.position,
+        userId,
+        workspaceId,
+        assigneeId: keepAssignees ? node.assigneeId : null,
+        parentId: isRoot ? parentId : copiedIds.get( node.parentId ),
+        tags: {
+          connect: node.workspaceId === workspaceId
+            ? ( node.tags ?? [] ).map( ( tag ) => ( { id: tag.id } ) )
+            : [],
+        },
+        attachments: {
+          create: ( node.attachments ?? [] )
+            .map( ( attachment ) => ( { attachment, files: storedFilesFor( attachment ) } ) )
+            .filter( ( { files } ) => files?.storageKey )
+            .map( ( { attachment, files } ) => ( {
+              storageKey: files.storageKey,
+              smallKey: files.smallKey ?? null,
+              mediumKey: files.mediumKey ?? null,
+              filename: attachment.filename,
+              mimeType: attachment.mimeType,
+              size: attachment.size,
+              width: attachment.width,
+              height: attachment.height,
+              uploaderId: attachment.uploaderId,
+            } ) ),
+        },
+        ...( isRoot ? rootData : {} ),
+      },
+    } );
+    copiedIds.set( node.id, copy.id );
+
+    await createTimelineEvent( {
+      todoId: copy.id,
+      type: TimelineEventType.CREATED,
+      message: createdMessage( node ),
+      actorUserId: userId,
+      client: tx,
+    } );
+  }
+
+  return copiedIds;
+};
+
+/**
+ * Collect the ids of a todo's ancestors, nearest parent first.
+ */
+export const collectAncestorIds = async ( client, todoId ) =>
+{
+  const ids = [];
+  let current = await client.todo.findFirst( {
+    where: { id: todoId, deletedAt: null },
+    select: { parentId: true },
+  } );
+
+  while ( current?.parentId && !ids.includes( current.parentId ) )
+  {
+    ids.push( current.parentId );
+    current = await client.todo.findFirst( {
+      where: { id: current.parentId, deletedAt: null },
+      select: { parentId: true },
+    } );
+  }
+
+  return ids;
+};
+
+export const POSITION_GAP = 1024;
+export const MIN_POSITION_SPACING = 1e-6;
+
+/**
+ * Position that places a new todo after all of its future siblings.
+ */
+export const nextSiblingPosition = async ( client, workspaceId, parentId ) =>
+{
+  const { _max: max } = await client.todo.aggregate( {
+    where: { workspaceId, parentId, deletedAt: null },
+    _max: { position: true },
+  } );
+  return ( max.position ?? 0 ) + POSITION_GAP;
+};
+
+/**
+ * Re-space the positions of a sibling list evenly, keeping the current order.
+ * Only needed when repeated reorders have exhausted the gap between two rows.
+ */
+export const rebalanceSiblingPositions = async ( client, workspaceId, parentId ) =>
+{
+  const siblings = await client.todo.findMany( {
+    where: { workspaceId, parentId, deletedAt: null },
+    orderBy: [ { position: "asc" }, { createdAt: "asc" } ],
+    select: { id: true },
+  } );
+
+  for ( const [ index, sibling ] of siblings.entries() )
+  {
+    await client.todo.update( {
+      where: { id: sibling.id },
+      data: { position: ( index + 1 ) * POSITION_GAP },
+    } );
+  }
+};
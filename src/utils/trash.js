@@ -0,0 +1,117 @@
+import prisma from "../prisma/client.js";
+import { deleteUnusedFiles } from "./attachments.js";
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Number of days a deleted todo stays in the trash before it is purged.
+ * Configured through TRASH_RETENTION_DAYS; `0` disables automatic purging.
+ * @returns {number}
+ */
+export const getTrashRetentionDays = () =>
+{
+  const raw = process.env.TRASH_RETENTION_DAYS;
+  if ( typeof raw === "undefined" || raw === "" )
+  {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+
+  const days = Number( raw );
+  return Number.isFinite( days ) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+/**
+ * Date at which a todo deleted at `deletedAt` will be purged automatically.
+ * @param {Date} deletedAt
+ * @returns {Date | null} `null` when automatic purging is disabled.
+ */
+export const getPurgeDate = ( deletedAt ) =>
+{
+  const days = getTrashRetentionDays();
+  return days > 0 ? new Date( deletedAt.getTime() + days * 24 * 60 * 60 * 1000 ) : null;
+};
+
+/**
+ * Permanently delete trashed todos along with everything deleted together with them.
+ * @param {number[]} deletionRootIds - ids of the todos the user originally deleted
+ * @returns {Promise<number[]>} ids of every purged todo
+ */
+export const purgeTrashedTodos = async ( deletionRootIds ) =>
+{
+  if ( deletionRootIds.length === 0 )
+  {
+    return [];
+  }
+
+  const todos = await prisma.todo.findMany( {
+    where: { deletionRootId: { in: deletionRootIds }, deletedAt: { not: null } },
+    select: { id: true, attachments: { select: { storageKey: true, smallKey: true, mediumKey: true } } },
+  } );
+  const ids = todos.map( ( todo ) => todo.id );
+
+  await prisma.$transaction( [
+    // Subtodos trashed on their own would be cascade-deleted with their parent;
+    // detach them so they can still be restored (to the root level).
+    prisma.todo.updateMany( {
+      where: { parentId: { in: ids }, id: { notIn: ids } },
+      data: { parentId: null },
+    } ),
+    prisma.todo.deleteMany( { where: { id: { in: ids } } } ),
+  ] );
+
+  await deleteUnusedFiles( todos.flatMap( ( todo ) => todo.attachments ) );
+
+  return ids;
+};
+
+/**
+ * Purge every trashed todo older than the configured retention period.
+ * @returns {Promise<number[]>} ids of every purged todo
+ */
+export const purgeExpiredTrash = async () =>
+{
+  const days = getTrashRetentionDays();
+  if ( days <= 0 )
+  {
+    return [];
+  }
+
+  const cutoff = new Date( Date.now() - days * 24 * 60 * 60 * 1000 );
+  const expired = await prisma.todo.findMany( {
+    where: { deletedAt: { lt: cutoff } },
+    select: { deletionRootId: true },
+    distinct: [ "deletionRootId" ],
+  } );
+
+  return purgeTrashedTodos(
+    expired.map( ( todo ) => todo.deletionRootId ).filter( Boolean )
+  );
+};
+
+/**
+ * Periodically purge expired trash while the server is running.
+ * @returns {NodeJS.Timeout}
+ */
+export const startTrashPurgeSchedule = () =>
+{
+  const run = async () =>
+  {
+    try
+    {
+      const purgedIds = await purgeExpiredTrash();
+      if ( purgedIds.length > 0 )
+      {
+        console.log( `🗑️ Purged ${ purgedIds.length } expired todos from the trash` );
+      }
+    } catch ( error )
+    {
+      console.error( "Failed to purge expired trash", error );
+    }
+  };
+
+  run();
+  const timer = setInterval( run, TRASH_PURGE_INTERVAL );
+  timer.unref();
+  return timer;
+};
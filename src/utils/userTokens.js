@@ -0,0 +1,84 @@
+import crypto from "crypto";
+
+const DEFAULT_TTL_MINUTES = {
+  PASSWORD_RESET: 60,
+  EMAIL_VERIFICATION: 48 * 60,
+};
+
+const TTL_ENV_VARIABLES = {
+  PASSWORD_RESET: "PASSWORD_RESET_TTL_MINUTES",
+  EMAIL_VERIFICATION: "EMAIL_VERIFICATION_TTL_MINUTES",
+};
+
+/**
+ * Lifetime of a mailed token of the given type, in minutes.
+ * @param {"PASSWORD_RESET" | "EMAIL_VERIFICATION"} type
+ * @returns {number}
+ */
+export const getUserTokenTtlMinutes = ( type ) =>
+{
+  const minutes = Number.parseFloat( process.env[ TTL_ENV_VARIABLES[ type ] ] ?? "" );
+  return Number.isFinite( minutes ) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES[ type ];
+};
+
+const hashUserToken = ( token ) => crypto.createHash( "sha256" ).update( token ).digest( "hex" );
+
+/**
+ * Issue a new token of the given type for a user, replacing the ones issued
+ * before. Only its hash is stored; the token itself is meant to be mailed.
+ * @returns {Promise<string>}
+ */
+export const issueUserToken = async ( client, userId, type ) =>
+{
+  const token = crypto.randomBytes( 32 ).toString( "base64url" );
+
+  await client.userToken.deleteMany( { where: { userId, type } } );
+  await client.userToken.create( {
+    data: {
+      userId,
+      type,
+      tokenHash: hashUserToken( token ),
+      expiresAt: new Date( Date.now() + getUserTokenTtlMinutes( type ) * 60 * 1000 ),
+    },
+  } );
+
+  return token;
+};
+
+/**
+ * Use up a token of the given type. Unknown, expired and already used tokens
+ * are rejected alike.
+ * @returns {Promise<number>} id of the user the token was issued to
+ */
+export const consumeUserToken = async ( client, token, type ) =>
+{
+  const invalid = () =>
+  {
+    const error = new Error( "Invalid or expired token" );
+    error.statusCode = 400;
+    return error;
+  };
+
+  if ( typeof token !== "string" || !token.trim() )
+  {
+    throw invalid();
+  }
+
+  const record = await client.userToken.findFirst( {
+    where: { tokenHash: hashUserToken( token.trim() ), type },
+  } );
+
+  if ( !record )
+  {
+    throw invalid();
+  }
+
+  // Deleting first makes the token single-use even under concurrent requests.
+  const { count } = await client.userToken.deleteMany( { where: { id: record.id } } );
+  if ( count === 0 || record.expiresAt <= new Date() )
+  {
+    throw invalid();
+  }
+
+  return record.userId;
+};
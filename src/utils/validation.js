@@ -0,0 +1,141 @@
+export const parseEntityId = ( value, entityName ) =>
+{
+  const id = Number.parseInt( value, 10 );
+  if ( Number.isNaN( id ) || id <= 0 )
+  {
+    const error = new Error( `${ entityName } id must be a positive integer` );
+    error.statusCode = 400;
+    throw error;
+  }
+  return id;
+};
+
+export const parseTodoId = ( value ) => parseEntityId( value, "Todo" );
+
+export const parseNullableDate = ( value, fieldName ) =>
+{
+  if ( value === undefined || value === null || value === "" )
+  {
+    return null;
+  }
+  const date = new Date( value );
+  if ( Number.isNaN( date.getTime() ) )
+  {
+    const error = new Error( `${ fieldName } must be a valid date string` );
+    error.statusCode = 400;
+    throw error;
+  }
+  return date;
+};
+
+export const parseStatus = ( value, required = false ) =>
+{
+  if ( typeof value === "undefined" || value === null || value === "" )
+  {
+    if ( required )
+    {
+      const error = new Error( "Status is required" );
+      error.statusCode = 400;
+      throw error;
+    }
+    return undefined;
+  }
+  const normalized = String( value ).trim().toUpperCase();
+  if ( ![ "TODO", "IN_PROGRESS", "DONE" ].includes( normalized ) )
+  {
+    const error = new Error( "Status must be TODO, IN_PROGRESS, or DONE" );
+    error.statusCode = 400;
+    throw error;
+  }
+  return normalized;
+};
+
+export const parseStatusMode = ( value ) =>
+{
+  if ( typeof value === "undefined" || value === null || value === "" )
+  {
+    return undefined;
+  }
+  const normalized = String( value ).trim().toUpperCase();
+  if ( ![ "DERIVED", "MANUAL" ].includes( normalized ) )
+  {
+    const error = new Error( "statusMode must be DERIVED or MANUAL" );
+    error.statusCode = 400;
+    throw error;
+  }
+  return normalized;
+};
+
+export const TODO_PRIORITIES = [ "NONE", "LOW", "MEDIUM", "HIGH", "URGENT" ];
+
+export const parsePriority = ( value, required = false ) =>
+{
+  if ( typeof value === "undefined" || value === null || value === "" )
+  {
+    if ( required )
+    {
+      const error = new Error( "Priority is required" );
+      error.statusCode = 400;
+      throw error;
+    }
+    return undefined;
+  }
+  const normalized = String( value ).trim().toUpperCase();
+  if ( !TODO_PRIORITIES.includes( normalized ) )
+  {
+    const error = new Error( `Priority must be one of ${ TODO_PRIORITIES.join( ", " ) }` );
+    error.statusCode = 400;
+    throw error;
+  }
+  return normalized;
+};
+
+export const assertValidTimeline = ( startDate, endDate ) =>
+{
+  if ( startDate && endDate && startDate > endDate )
+  {
+    const error = new Error( "startDate must be before or equal to endDate" );
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+export const firstQueryValue = ( value ) => ( Array.isArray( value ) ? value[ 0 ] : value );
+
+export const parsePositiveInteger = ( value, fieldName, { allowZero = false } = {} ) =>
+{
+  const parsed = Number.parseInt( value, 10 );
+  if ( Number.isNaN( parsed ) || parsed < ( allowZero ? 0 : 1 ) || String( parsed ) !== String( value ).trim() )
+  {
+    const error = new Error(
+      `${ fieldName } must be a ${ allowZero ? "non-negative" : "positive" } integer`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+  return parsed;
+};
+
+export const parseBooleanOption = ( value, fieldName, defaultValue ) =>
+{
+  if ( typeof value === "undefined" || value === null || value === "" )
+  {
+    return defaultValue;
+  }
+  if ( typeof value === "boolean" )
+  {
+    return value;
+  }
+  const normalized = String( value ).trim().toLowerCase();
+  if ( [ "true", "1" ].includes( normalized ) )
+  {
+    return true;
+  }
+  if ( [ "false", "0" ].includes( normalized ) )
+  {
+    return false;
+  }
+  const error = new Error( `${ fieldName } must be a boolean` );
+  error.statusCode = 400;
+  throw error;
+};
@@ -0,0 +1,190 @@
+import { parseEntityId } from "./validation.js";
+
+/**
+ * Workspace roles from least to most privileged: viewers read, editors change
+ * todos, tags and comments, owners also manage the workspace and its members.
+ */
+export const WORKSPACE_ROLES = [ "VIEWER", "EDITOR", "OWNER" ];
+
+export const PERSONAL_WORKSPACE_NAME = "Personal";
+
+export const parseWorkspaceId = ( value ) => parseEntityId( value, "Workspace" );
+
+export const parseWorkspaceRole = ( value ) =>
+{
+  const normalized = typeof value === "string" ? value.trim().toUpperCase() : "";
+  if ( !WORKSPACE_ROLES.includes( normalized ) )
+  {
+    const error = new Error( `Role must be one of ${ WORKSPACE_ROLES.join( ", " ) }` );
+    error.statusCode = 400;
+    throw error;
+  }
+  return normalized;
+};
+
+export const hasWorkspaceRole = ( role, minRole ) =>
+  WORKSPACE_ROLES.indexOf( role ) >= WORKSPACE_ROLES.indexOf( minRole );
+
+const rolesAtLeast = ( minRole ) => WORKSPACE_ROLES.slice( WORKSPACE_ROLES.indexOf( minRole ) );
+
+/**
+ * Prisma filter for the workspaces in which a user holds at least `minRole`.
+ */
+export const workspaceAccessWhere = ( userId, minRole = "VIEWER" ) => ( {
+  members: { some: { userId, role: { in: rolesAtLeast( minRole ) } } },
+} );
+
+/**
+ * Prisma filter for the todos of the workspaces in which a user holds at least `minRole`.
+ */
+export const todoAccessWhere = ( userId, minRole = "VIEWER" ) => ( {
+  workspace: workspaceAccessWhere( userId, minRole ),
+} );
+
+/**
+ * Prisma filter for the todos a user can see: those of their workspaces and
+ * those assigned to them.
+ */
+export const todoVisibleWhere = ( userId ) => ( {
+  OR: [ todoAccessWhere( userId ), { assigneeId: userId } ],
+} );
+
+const insufficientRoleError = ( minRole ) =>
+{
+  const error = new Error( `This action requires the ${ minRole } role in the workspace` );
+  error.statusCode = 403;
+  return error;
+};
+
+export const findWorkspaceRole = async ( client, workspaceId, userId ) =>
+{
+  const membership = await client.workspaceMember.findUnique( {
+    where: { workspaceId_userId: { workspaceId, userId } },
+    select: { role: true },
+  } );
+  return membership?.role ?? null;
+};
+
+/**
+ * Load a workspace the user is a member of, with the user's `role` on it.
+ * Workspaces the user does not belong to are reported as not found; a role
+ * below `minRole` is forbidden.
+ */
+export const findAccessibleWorkspace = async ( client, { id, userId, minRole = "VIEWER" } ) =>
+{
+  const workspace = await client.workspace.findFirst( {
+    where: { id, ...workspaceAccessWhere( userId ) },
+    include: { members: { where: { userId }, select: { role: true } } },
+  } );
+
+  if ( !workspace )
+  {
+    const error = new Error( "Workspace not found" );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const { members, ...rest } = workspace;
+  const role = members[ 0 ].role;
+  if ( !hasWorkspaceRole( role, minRole ) )
+  {
+    throw insufficientRoleError( minRole );
+  }
+
+  return { ...rest, role };
+};
+
+/**
+ * Load a todo the user can see, failing with 404 when they cannot and 403
+ * when their role is below `minRole`. The assignee of a todo sees it without
+ * being a member of its workspace, but only passes the role check when
+ * `allowAssignee` is set. The result always carries `workspaceId` and
+ * `assigneeId`.
+ * @param {{
+ *   id: number;
+ *   userId: number;
+ *   minRole?: string;
+ *   allowAssignee?: boolean;
+ *   trashed?: boolean;
+ *   where?: object;
+ *   select?: object;
+ *   include?: object;
+ *   notFoundMessage?: string;
+ * }} options
+ */
+export const findAccessibleTodo = async ( client, {
+  id,
+  userId,
+  minRole = "VIEWER",
+  allowAssignee = false,
+  trashed = false,
+  where = {},
+  select,
+  include,
+  notFoundMessage = "Todo not found",
+} ) =>
+{
+  const todo = await client.todo.findFirst( {
+    where: {
+      id,
+      deletedAt: trashed ? { not: null } : null,
+      ...where,
+      ...todoVisibleWhere( userId ),
+    },
+    ...( select ? { select: { ...select, workspaceId: true, assigneeId: true } } : { include } ),
+  } );
+
+  if ( !todo )
+  {
+    const error = new Error( notFoundMessage );
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const isAssignee = todo.assigneeId === userId;
+  if ( ( minRole !== "VIEWER" || isAssignee )
+    && !( allowAssignee && isAssignee )
+    && !hasWorkspaceRole( await findWorkspaceRole( client, todo.workspaceId, userId ), minRole ) )
+  {
+    throw insufficientRoleError( minRole );
+  }
+
+  return todo;
+};
+
+/**
+ * Id of the user's personal workspace, creating it when it is missing.
+ */
+export const ensurePersonalWorkspace = async ( client, userId ) =>
+{
+  const workspace = await client.workspace.upsert( {
+    where: { personalOwnerId: userId },
+    update: {},
+    create: {
+      name: PERSONAL_WORKSPACE_NAME,
+      personalOwnerId: userId,
+      members: { create: { userId, role: "OWNER" } },
+    },
+    select: { id: true },
+  } );
+  return workspace.id;
+};
+
+/**
+ * Resolve the workspace a new root-level todo goes to: the given one (which
+ * the user must be able to edit) or the user's personal workspace.
+ */
+export const resolveTargetWorkspaceId = async ( client, userId, rawWorkspaceId ) =>
+{
+  if ( typeof rawWorkspaceId === "undefined" || rawWorkspaceId === null || rawWorkspaceId === "" )
+  {
+    return ensurePersonalWorkspace( client, userId );
+  }
+
+  const workspace = await findAccessibleWorkspace( client, {
+    id: parseWorkspaceId( rawWorkspaceId ),
+    userId,
+    minRole: "EDITOR",
+  } );
+  return workspace.id;
+};
@@ -0,0 +1,253 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  formatRecurrenceRule,
+  listOccurrences,
+  nextOccurrenceOf,
+  parseRecurrenceRule,
+  parseRecurrenceRuleInput,
+  spawnNextOccurrence,
+} from "../src/utils/recurrence.js";
+
+const iso = ( dates ) => dates.map( ( date ) => date.toISOString() );
+
+const occurrences = ( value, dtstart, options = {} ) =>
+  iso( listOccurrences( parseRecurrenceRule( value ), new Date( dtstart ), { limit: 10, ...options } ) );
+
+describe( "parseRecurrenceRule", () =>
+{
+  it( "accepts an RRULE: prefix and lower case, and formats the canonical rule", () =>
+  {
+    assert.equal(
+      formatRecurrenceRule( parseRecurrenceRule( "rrule:freq=monthly;byday=1mo,-1fr;interval=2;count=5" ) ),
+      "FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;COUNT=5",
+    );
+  } );
+
+  it( "reads a date-only UNTIL as the end of that day in UTC", () =>
+  {
+    const rule = parseRecurrenceRule( "FREQ=DAILY;UNTIL=20261231" );
+    assert.equal( rule.until.toISOString(), "2026-12-31T23:59:59.000Z" );
+    assert.equal( formatRecurrenceRule( rule ), "FREQ=DAILY;UNTIL=20261231T235959Z" );
+  } );
+
+  it( "parses BYDAY ordinals and plain weekdays", () =>
+  {
+    assert.deepEqual( parseRecurrenceRule( "FREQ=MONTHLY;BYDAY=-1FR,2TU" ).byDay, [
+      { ordinal: -1, weekday: 5 },
+      { ordinal: 2, weekday: 2 },
+    ] );
+    assert.deepEqual( parseRecurrenceRule( "FREQ=WEEKLY;BYDAY=MO,WE" ).byDay, [
+      { ordinal: null, weekday: 1 },
+      { ordinal: null, weekday: 3 },
+    ] );
+  } );
+
+  for ( const [ value, reason ] of [
+    [ "", "an empty rule" ],
+    [ "FREQ=HOURLY", "an unsupported frequency" ],
+    [ "FREQ=DAILY;BYHOUR=9", "an unsupported part" ],
+    [ "FREQ=DAILY;INTERVAL", "a part without a value" ],
+    [ "FREQ=DAILY;INTERVAL=0", "an interval below 1" ],
+    [ "FREQ=DAILY;COUNT=2;UNTIL=20261231", "COUNT combined with UNTIL" ],
+    [ "FREQ=DAILY;UNTIL=2026-12-31", "a malformed UNTIL" ],
+    [ "FREQ=WEEKLY;BYDAY=1MO", "a BYDAY ordinal outside MONTHLY rules" ],
+    [ "FREQ=MONTHLY;BYDAY=0MO", "a zero BYDAY ordinal" ],
+    [ "FREQ=MONTHLY;BYDAY=6MO", "a BYDAY ordinal above 5" ],
+    [ "FREQ=YEARLY;BYDAY=MO", "BYDAY on a YEARLY rule" ],
+    [ "FREQ=WEEKLY;BYMONTHDAY=1", "BYMONTHDAY outside MONTHLY rules" ],
+    [ "FREQ=MONTHLY;BYDAY=MO;BYMONTHDAY=1", "BYDAY combined with BYMONTHDAY" ],
+    [ "FREQ=MONTHLY;BYMONTHDAY=32", "a month day above 31" ],
+  ] )
+  {
+    it( `rejects ${ reason } with a 400`, () =>
+    {
+      assert.throws( () => parseRecurrenceRule( value ), { statusCode: 400, message: /^Invalid recurrenceRule: / } );
+    } );
+  }
+} );
+
+describe( "parseRecurrenceRuleInput", () =>
+{
+  it( "distinguishes a missing field from clearing the rule", () =>
+  {
+    assert.equal( parseRecurrenceRuleInput( undefined ), undefined );
+    assert.equal( parseRecurrenceRuleInput( null ), null );
+    assert.equal( parseRecurrenceRuleInput( "" ), null );
+    assert.equal( parseRecurrenceRuleInput( "freq=weekly" ), "FREQ=WEEKLY" );
+  } );
+} );
+
+describe( "listOccurrences", () =>
+{
+  it( "starts with dtstart and keeps its time of day", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=DAILY;INTERVAL=2", "2026-03-01T09:30:00Z", { limit: 3 } ), [
+      "2026-03-01T09:30:00.000Z",
+      "2026-03-03T09:30:00.000Z",
+      "2026-03-05T09:30:00.000Z",
+    ] );
+  } );
+
+  it( "skips months that do not have dtstart's day of the month", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=MONTHLY", "2026-01-31T08:00:00Z", { limit: 4 } ), [
+      "2026-01-31T08:00:00.000Z",
+      "2026-03-31T08:00:00.000Z",
+      "2026-05-31T08:00:00.000Z",
+      "2026-07-31T08:00:00.000Z",
+    ] );
+  } );
+
+  it( "counts negative BYMONTHDAY values from the end of each month", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=MONTHLY;BYMONTHDAY=-1", "2028-01-31T00:00:00Z", { limit: 4 } ), [
+      "2028-01-31T00:00:00.000Z",
+      "2028-02-29T00:00:00.000Z",
+      "2028-03-31T00:00:00.000Z",
+      "2028-04-30T00:00:00.000Z",
+    ] );
+  } );
+
+  it( "picks the last weekday of each month for a negative BYDAY ordinal", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=MONTHLY;BYDAY=-1FR", "2026-01-30T12:00:00Z", { limit: 3 } ), [
+      "2026-01-30T12:00:00.000Z",
+      "2026-02-27T12:00:00.000Z",
+      "2026-03-27T12:00:00.000Z",
+    ] );
+  } );
+
+  it( "skips months without a fifth weekday for BYDAY=5MO", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=MONTHLY;BYDAY=5MO", "2026-03-30T10:00:00Z", { limit: 2 } ), [
+      "2026-03-30T10:00:00.000Z",
+      "2026-06-29T10:00:00.000Z",
+    ] );
+  } );
+
+  it( "lists every matching weekday of a week in order", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=WEEKLY;BYDAY=FR,MO", "2026-01-05T09:00:00Z", { limit: 4 } ), [
+      "2026-01-05T09:00:00.000Z",
+      "2026-01-09T09:00:00.000Z",
+      "2026-01-12T09:00:00.000Z",
+      "2026-01-16T09:00:00.000Z",
+    ] );
+  } );
+
+  it( "skips February 29 in years that do not have it", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=YEARLY", "2028-02-29T00:00:00Z", { limit: 2 } ), [
+      "2028-02-29T00:00:00.000Z",
+      "2032-02-29T00:00:00.000Z",
+    ] );
+  } );
+
+  it( "counts dtstart towards COUNT", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=DAILY;COUNT=3", "2026-01-01T00:00:00Z" ), [
+      "2026-01-01T00:00:00.000Z",
+      "2026-01-02T00:00:00.000Z",
+      "2026-01-03T00:00:00.000Z",
+    ] );
+  } );
+
+  it( "keeps counting occurrences before `after` towards COUNT", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=DAILY;COUNT=3", "2026-01-01T00:00:00Z", { after: new Date( "2026-01-02T00:00:00Z" ) } ), [
+      "2026-01-03T00:00:00.000Z",
+    ] );
+    assert.deepEqual( occurrences( "FREQ=DAILY;COUNT=3", "2026-01-01T00:00:00Z", { after: new Date( "2026-01-03T00:00:00Z" ) } ), [] );
+  } );
+
+  it( "stops after UNTIL, including an occurrence on UNTIL itself", () =>
+  {
+    assert.deepEqual( occurrences( "FREQ=WEEKLY;UNTIL=20260119", "2026-01-05T09:00:00Z" ), [
+      "2026-01-05T09:00:00.000Z",
+      "2026-01-12T09:00:00.000Z",
+      "2026-01-19T09:00:00.000Z",
+    ] );
+    assert.deepEqual( occurrences( "FREQ=WEEKLY;UNTIL=20260119T080000Z", "2026-01-05T09:00:00Z" ), [
+      "2026-01-05T09:00:00.000Z",
+      "2026-01-12T09:00:00.000Z",
+    ] );
+  } );
+} );
+
+describe( "nextOccurrenceOf", () =>
+{
+  it( "continues the series from the current occurrence", () =>
+  {
+    const todo = {
+      recurrenceRule: "FREQ=MONTHLY;BYMONTHDAY=-1",
+      recurrenceStart: new Date( "2026-01-31T00:00:00Z" ),
+      startDate: new Date( "2026-02-28T00:00:00Z" ),
+      endDate: null,
+    };
+    assert.equal( nextOccurrenceOf( todo ).toISOString(), "2026-03-31T00:00:00.000Z" );
+  } );
+
+  it( "uses the end date when the todo has no start date", () =>
+  {
+    const todo = { recurrenceRule: "FREQ=WEEKLY", recurrenceStart: null, startDate: null, endDate: new Date( "2026-01-05T17:00:00Z" ) };
+    assert.equal( nextOccurrenceOf( todo ).toISOString(), "2026-01-12T17:00:00.000Z" );
+  } );
+
+  it( "returns null once COUNT is used up, so there is nothing to skip to", () =>
+  {
+    const todo = {
+      recurrenceRule: "FREQ=DAILY;COUNT=2",
+      recurrenceStart: new Date( "2026-01-01T00:00:00Z" ),
+      startDate: new Date( "2026-01-02T00:00:00Z" ),
+      endDate: null,
+    };
+    assert.equal( nextOccurrenceOf( todo ), null );
+  } );
+} );
+
+describe( "spawnNextOccurrence", () =>
+{
+  // Just enough of a transaction client for a todo without subtodos.
+  const fakeTransaction = ( todo ) =>
+  {
+    const calls = { updates: [], events: [] };
+    const tx = {
+      todo: {
+        findFirst: async () => todo,
+        findMany: async () => [],
+        update: async ( args ) => calls.updates.push( args ),
+      },
+      todoTimeline: {
+        create: async ( args ) => calls.events.push( args.data ),
+      },
+    };
+    return { tx, calls };
+  };
+
+  it( "does nothing for a todo whose recurrence was stopped", async () =>
+  {
+    const { tx, calls } = fakeTransaction( { id: 1, recurrenceRule: null, startDate: new Date( "2026-01-01T00:00:00Z" ) } );
+    assert.equal( await spawnNextOccurrence( tx, 1, 7 ), null );
+    assert.deepEqual( calls, { updates: [], events: [] } );
+  } );
+
+  it( "clears the rule and records the end of the series after the last occurrence", async () =>
+  {
+    const { tx, calls } = fakeTransaction( {
+      id: 1,
+      parentId: null,
+      recurrenceRule: "FREQ=WEEKLY;UNTIL=20260110",
+      recurrenceStart: new Date( "2026-01-01T00:00:00Z" ),
+      startDate: new Date( "2026-01-08T00:00:00Z" ),
+      endDate: null,
+    } );
+
+    assert.equal( await spawnNextOccurrence( tx, 1, 7 ), null );
+    assert.deepEqual( calls.updates, [ { where: { id: 1 }, data: { recurrenceRule: null } } ] );
+    assert.equal( calls.events.length, 1 );
+    assert.equal( calls.events[ 0 ].actorUserId, 7 );
+    assert.match( calls.events[ 0 ].message, /series finished/ );
+  } );
+} );